@@ -5,6 +5,7 @@
  * 用法：
  *   node cli.js pull "https://kb.example.com/pages/viewpage.action?pageId=123"
  *   node cli.js push --parent-page-id 123 docs/my-doc.md
+ *   node cli.js export-html docs/MyPage
  *   node cli.js                    # 交互模式（默认 pull）
  */
 const fs = require("fs");
@@ -12,8 +13,16 @@ const path = require("path");
 const { askQuestion } = require("./src/utils");
 const { getBaseUrl, setBaseUrl, ensureLogin, loadCookies, resetAuth } = require("./src/auth");
 const { testCookieValid } = require("./src/api");
-const { extractPage, parseConfluenceUrl, resolvePageId } = require("./src/extract");
+const {
+  extractPage,
+  extractSpace,
+  extractBlogPosts,
+  extractByCql,
+  parseConfluenceUrl,
+  resolvePageId,
+} = require("./src/extract");
 const { uploadFile } = require("./src/upload");
+const { exportHtml } = require("./src/export-html");
 
 const OUTPUT_DIR = path.join(process.cwd(), "docs");
 
@@ -25,13 +34,40 @@ function showHelp() {
 KB（Confluence）知识库双向同步工具
 
 用法：
-  node cli.js pull <url>                      从 KB 提取文档
+  node cli.js pull [options] <url>            从 KB 提取文档
   node cli.js push [options] <file...>        将 Markdown 上传到 KB
+  node cli.js export-html [options] <dir>     将已提取的文档导出为离线 HTML 站点
   node cli.js                                 交互模式
 
 Pull 命令：
   node cli.js pull "https://kb.example.com/pages/viewpage.action?pageId=123"
   node cli.js pull "https://kb.example.com/display/SPACE/Page+Title"
+  node cli.js pull "https://kb.example.com/display/SPACE"
+  node cli.js pull --space SPACE
+  node cli.js pull --blogposts --space SPACE --since 2024-01-01
+  node cli.js pull --cql 'label = "runbook" and lastmodified > now("-30d")'
+
+Pull 选项：
+  --space <key>           提取整个空间（所有顶层页面及其子页面）
+  --base-url <url>        配合 --space 使用的 KB 地址，默认 https://kb.cvte.com
+  --cql <query>           提取 CQL 查询匹配的页面（不递归子页面），配合 --space 时限定在该空间内
+  --blogposts             提取空间的博客文章（按 blog/YYYY/MM/ 存放）
+  --since <YYYY-MM-DD>    配合 --blogposts，只提取该日期及之后发布的文章
+  --until <YYYY-MM-DD>    配合 --blogposts，只提取该日期及之前发布的文章
+  --force                 忽略本地已有版本，全量重新提取
+  --resume                从上次中断处继续提取（跳过已完成的页面）
+  --concurrency <n>       同时处理的页面数及最大并发请求数，默认 5
+  --rps <n>               每秒最多发起的请求数，默认不限制
+  --history               将每个页面的历史版本导出为输出目录中的 git 提交
+  --format <md|jsonl>     jsonl 时额外按标题分块导出 chunks.jsonl（供检索 / 向量化使用）
+  --chunk-size <n>        配合 --format jsonl，每块最大字符数，默认 1500
+  --comments              提取页面评论和行内评论，写入文末「评论」区
+  --comments-file         同 --comments，但评论写入同名 .comments.md 文件
+  --depth <n>             最大提取深度（起始页面为 0）
+  --include <pattern>     只提取标题匹配的页面及其子树（支持 * ?，可多次指定）
+  --exclude <pattern>     跳过标题匹配的页面及其子树（可多次指定）
+  --label <label>         只提取带有该标签的页面及其子树（可多次指定）
+  --exclude-label <label> 跳过带有该标签的页面及其子树（可多次指定）
 
 Push 命令：
   node cli.js push --parent-page-id <id> [--update] <file1.md> [file2.md ...]
@@ -41,11 +77,93 @@ Push 选项：
   --update                同名页面已存在时更新内容
   --base-url <url>        KB 地址，默认 https://kb.cvte.com
 
+Export-html 选项：
+  --out <dir>             输出目录，默认为 <dir>-html
+
 通用选项：
   --help, -h              显示帮助信息
 `);
 }
 
+/**
+ * 解析 pull 命令的参数
+ */
+function parsePullArgs(args) {
+  const result = {
+    url: null,
+    space: null,
+    baseUrl: null,
+    cql: null,
+    blogposts: false,
+    since: null,
+    until: null,
+    force: false,
+    resume: false,
+    concurrency: null,
+    rps: null,
+    history: false,
+    comments: null,
+    format: "md",
+    chunkSize: null,
+    depth: null,
+    include: [],
+    exclude: [],
+    labels: [],
+    excludeLabels: [],
+  };
+
+  let i = 0;
+  while (i < args.length) {
+    const arg = args[i];
+    if (arg === "--space" && i + 1 < args.length) {
+      result.space = args[++i];
+    } else if (arg === "--base-url" && i + 1 < args.length) {
+      result.baseUrl = args[++i];
+    } else if (arg === "--cql" && i + 1 < args.length) {
+      result.cql = args[++i];
+    } else if (arg === "--blogposts") {
+      result.blogposts = true;
+    } else if (arg === "--since" && i + 1 < args.length) {
+      result.since = args[++i];
+    } else if (arg === "--until" && i + 1 < args.length) {
+      result.until = args[++i];
+    } else if (arg === "--force") {
+      result.force = true;
+    } else if (arg === "--resume") {
+      result.resume = true;
+    } else if (arg === "--concurrency" && i + 1 < args.length) {
+      result.concurrency = parseInt(args[++i], 10);
+    } else if (arg === "--rps" && i + 1 < args.length) {
+      result.rps = parseFloat(args[++i]);
+    } else if (arg === "--history") {
+      result.history = true;
+    } else if (arg === "--format" && i + 1 < args.length) {
+      result.format = args[++i];
+    } else if (arg === "--chunk-size" && i + 1 < args.length) {
+      result.chunkSize = parseInt(args[++i], 10);
+    } else if (arg === "--comments") {
+      result.comments = "section";
+    } else if (arg === "--comments-file") {
+      result.comments = "file";
+    } else if (arg === "--depth" && i + 1 < args.length) {
+      result.depth = parseInt(args[++i], 10);
+    } else if (arg === "--include" && i + 1 < args.length) {
+      result.include.push(args[++i]);
+    } else if (arg === "--exclude" && i + 1 < args.length) {
+      result.exclude.push(args[++i]);
+    } else if (arg === "--label" && i + 1 < args.length) {
+      result.labels.push(args[++i]);
+    } else if (arg === "--exclude-label" && i + 1 < args.length) {
+      result.excludeLabels.push(args[++i]);
+    } else if (!arg.startsWith("--") && !result.url) {
+      result.url = arg;
+    }
+    i++;
+  }
+
+  return result;
+}
+
 /**
  * 解析 push 命令的参数
  */
@@ -75,6 +193,29 @@ function parsePushArgs(args) {
   return result;
 }
 
+/**
+ * 解析 export-html 命令的参数
+ */
+function parseExportArgs(args) {
+  const result = {
+    dir: null,
+    out: null,
+  };
+
+  let i = 0;
+  while (i < args.length) {
+    const arg = args[i];
+    if (arg === "--out" && i + 1 < args.length) {
+      result.out = args[++i];
+    } else if (!arg.startsWith("--") && !result.dir) {
+      result.dir = arg;
+    }
+    i++;
+  }
+
+  return result;
+}
+
 /**
  * 尝试用已保存的 cookie 恢复认证
  */
@@ -95,13 +236,24 @@ async function tryCookieAuth() {
 /**
  * 处理 pull 输入
  */
-async function handlePull(input, skipConfirm = false) {
-  const parsed = parseConfluenceUrl(input);
+async function handlePull(input, skipConfirm = false, pullArgs = {}) {
+  if (pullArgs.format && !["md", "jsonl"].includes(pullArgs.format)) {
+    console.log(`❌ 不支持的输出格式: ${pullArgs.format}（可选 md、jsonl）\n`);
+    return;
+  }
+
+  const parsed = pullArgs.space || pullArgs.cql
+    ? {
+        baseUrl: pullArgs.baseUrl || getBaseUrl() || "https://kb.cvte.com",
+        spaceKey: pullArgs.space,
+      }
+    : parseConfluenceUrl(input);
   if (!parsed) {
     console.log("⚠️ 无法解析输入，请提供完整的 KB 页面链接");
     console.log("   示例:");
     console.log("   https://wiki.example.com/pages/viewpage.action?pageId=123456");
-    console.log("   https://wiki.example.com/display/SPACE/Page+Title\n");
+    console.log("   https://wiki.example.com/display/SPACE/Page+Title");
+    console.log("   https://wiki.example.com/display/SPACE\n");
     return;
   }
 
@@ -115,6 +267,33 @@ async function handlePull(input, skipConfirm = false) {
   // 确保有有效认证（自动处理 cookie 失效 → 浏览器登录）
   await ensureLogin(testCookieValid);
 
+  // 按 CQL 查询提取
+  if (pullArgs.cql) {
+    const cql = parsed.spaceKey
+      ? `space = "${parsed.spaceKey}" AND (${pullArgs.cql})`
+      : pullArgs.cql;
+    await extractByCql(cql, skipConfirm, pullArgs);
+    return;
+  }
+
+  // 提取空间的博客文章
+  if (pullArgs.blogposts) {
+    if (!parsed.spaceKey) {
+      console.log("❌ --blogposts 需要通过 --space 或空间链接指定空间\n");
+      return;
+    }
+    console.log(`正在获取空间信息...`);
+    await extractBlogPosts(parsed.spaceKey, skipConfirm, pullArgs);
+    return;
+  }
+
+  // 只有 spaceKey 时提取整个空间
+  if (!parsed.pageId && parsed.spaceKey && !parsed.title) {
+    console.log(`正在获取空间信息...`);
+    await extractSpace(parsed.spaceKey, skipConfirm, pullArgs);
+    return;
+  }
+
   // 如果没有 pageId，通过 spaceKey + title 查询
   let pageId = parsed.pageId;
   if (!pageId && parsed.spaceKey && parsed.title) {
@@ -128,7 +307,7 @@ async function handlePull(input, skipConfirm = false) {
   }
 
   console.log(`正在获取页面信息...`);
-  await extractPage(pageId, skipConfirm);
+  await extractPage(pageId, skipConfirm, pullArgs);
 }
 
 /**
@@ -200,23 +379,36 @@ async function main() {
 
   if (command === "pull") {
     // Pull 模式
-    const url = args[1];
-    if (!url) {
+    const pullArgs = parsePullArgs(args.slice(1));
+    if (!pullArgs.url && !pullArgs.space && !pullArgs.cql) {
       console.log("❌ 缺少页面链接");
-      console.log("   用法: node cli.js pull <url>");
+      console.log("   用法: node cli.js pull <url>、node cli.js pull --space <key> 或 node cli.js pull --cql <query>");
       return;
     }
 
-    await handlePull(url, true);
+    await handlePull(pullArgs.url, true, pullArgs);
 
   } else if (command === "push") {
     // Push 模式
     const pushArgs = parsePushArgs(args.slice(1));
     await handlePush(pushArgs);
 
+  } else if (command === "export-html") {
+    // 导出离线 HTML 站点（不需要连接 KB）
+    const exportArgs = parseExportArgs(args.slice(1));
+    if (!exportArgs.dir) {
+      console.log("❌ 缺少文档目录");
+      console.log("   用法: node cli.js export-html [--out <dir>] <dir>");
+      return;
+    }
+    const sourceDir = path.resolve(exportArgs.dir);
+    const outDir = path.resolve(exportArgs.out || `${sourceDir}-html`);
+    await exportHtml(sourceDir, outDir);
+
   } else if (command && !command.startsWith("-")) {
     // 兼容旧用法：直接传入 URL（等同于 pull）
-    await handlePull(command, true);
+    const pullArgs = parsePullArgs(args);
+    await handlePull(pullArgs.url, true, pullArgs);
 
   } else {
     // 交互模式
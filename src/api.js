@@ -7,10 +7,79 @@ const fs = require("fs");
 const path = require("path");
 const { getBaseUrl, getAuthHeaders, browserLogin } = require("./auth");
 
+// 全局请求限制：最大并发请求数与每秒请求数（0 表示不限制）
+let maxConcurrentRequests = Infinity;
+let minRequestInterval = 0;
+let activeRequests = 0;
+let waitingRequests = [];
+let nextRequestAt = 0;
+
+/**
+ * 设置全局请求限制
+ * @param {object} limits
+ * @param {number} limits.concurrency - 最大并发请求数
+ * @param {number} limits.rps - 每秒最多发起的请求数
+ */
+function setRequestLimits({ concurrency = 0, rps = 0 } = {}) {
+  maxConcurrentRequests = concurrency > 0 ? concurrency : Infinity;
+  minRequestInterval = rps > 0 ? 1000 / rps : 0;
+}
+
+/**
+ * 获取一个请求名额：并发已满时排队，并按每秒请求数间隔发出
+ */
+async function acquireRequestSlot() {
+  if (activeRequests < maxConcurrentRequests) {
+    activeRequests++;
+  } else {
+    // 由 releaseRequestSlot 直接转交名额，activeRequests 不变
+    await new Promise((resolve) => waitingRequests.push(resolve));
+  }
+  if (minRequestInterval > 0) {
+    const now = Date.now();
+    const wait = Math.max(0, nextRequestAt - now);
+    nextRequestAt = Math.max(now, nextRequestAt) + minRequestInterval;
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+}
+
+/**
+ * 释放请求名额
+ */
+function releaseRequestSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * 在请求名额内执行 fn
+ */
+async function withRequestSlot(fn) {
+  await acquireRequestSlot();
+  try {
+    return await fn();
+  } finally {
+    releaseRequestSlot();
+  }
+}
+
 /**
  * 用 Node.js 原生 HTTP 发起请求，返回 Buffer
  */
-function httpGet(url, redirectCount = 0) {
+function httpGet(url) {
+  return withRequestSlot(() => httpGetFollow(url, 0));
+}
+
+/**
+ * 发起 GET 请求并跟随重定向（重定向不重复占用请求名额）
+ */
+function httpGetFollow(url, redirectCount) {
   const baseUrl = getBaseUrl();
   return new Promise((resolve, reject) => {
     if (redirectCount > 5) {
@@ -27,7 +96,7 @@ function httpGet(url, redirectCount = 0) {
         if (!redirectUrl.startsWith("http")) {
           redirectUrl = `${parsedUrl.protocol}//${parsedUrl.host}${redirectUrl}`;
         }
-        return httpGet(redirectUrl, redirectCount + 1).then(resolve).catch(reject);
+        return httpGetFollow(redirectUrl, redirectCount + 1).then(resolve).catch(reject);
       }
       if (res.statusCode !== 200) {
         res.resume();
@@ -51,7 +120,7 @@ function httpGet(url, redirectCount = 0) {
  */
 function httpRequest(url, method, body, extraHeaders = {}) {
   const baseUrl = getBaseUrl();
-  return new Promise((resolve, reject) => {
+  return withRequestSlot(() => new Promise((resolve, reject) => {
     const fullUrl = url.startsWith("http") ? url : `${baseUrl}${url}`;
     const parsedUrl = new URL(fullUrl);
     const mod = parsedUrl.protocol === "https:" ? https : http;
@@ -90,15 +159,16 @@ function httpRequest(url, method, body, extraHeaders = {}) {
       req.write(body);
     }
     req.end();
-  });
+  }));
 }
 
 /**
  * 上传 multipart 表单数据（用于附件上传）
+ * @param {string} [mimeType] - 指定 Content-Type，默认按扩展名推断
  */
-function httpUploadMultipart(url, filePath, filename) {
+function httpUploadMultipart(url, filePath, filename, mimeType) {
   const baseUrl = getBaseUrl();
-  return new Promise((resolve, reject) => {
+  return withRequestSlot(() => new Promise((resolve, reject) => {
     const fullUrl = url.startsWith("http") ? url : `${baseUrl}${url}`;
     const parsedUrl = new URL(fullUrl);
     const mod = parsedUrl.protocol === "https:" ? https : http;
@@ -116,7 +186,7 @@ function httpUploadMultipart(url, filePath, filename) {
       ".pdf": "application/pdf",
       ".drawio": "application/xml",
     };
-    const contentType = mimeTypes[ext] || "application/octet-stream";
+    const contentType = mimeType || mimeTypes[ext] || "application/octet-stream";
 
     const prefix = Buffer.from(
       `--${boundary}\r\n` +
@@ -165,7 +235,7 @@ function httpUploadMultipart(url, filePath, filename) {
 
     req.write(bodyBuf);
     req.end();
-  });
+  }));
 }
 
 /**
@@ -211,9 +281,10 @@ async function apiPut(apiPath, data) {
 }
 
 /**
- * 上传附件到指定页面
+ * 上传附件到指定页面（同名附件已存在时上传为新版本）
+ * @param {string} [mimeType] - 指定 Content-Type，默认按扩展名推断
  */
-async function uploadAttachment(pageId, filePath, filename) {
+async function uploadAttachment(pageId, filePath, filename, mimeType) {
   const url = `/rest/api/content/${pageId}/child/attachment`;
 
   // 检查是否已存在同名附件
@@ -230,9 +301,9 @@ async function uploadAttachment(pageId, filePath, filename) {
 
   const baseUrl = getBaseUrl();
   if (existingId) {
-    return httpUploadMultipart(`${baseUrl}${url}/${existingId}/data`, filePath, filename);
+    return httpUploadMultipart(`${baseUrl}${url}/${existingId}/data`, filePath, filename, mimeType);
   } else {
-    return httpUploadMultipart(`${baseUrl}${url}`, filePath, filename);
+    return httpUploadMultipart(`${baseUrl}${url}`, filePath, filename, mimeType);
   }
 }
 
@@ -250,6 +321,7 @@ async function testCookieValid() {
 }
 
 module.exports = {
+  setRequestLimits,
   httpGet,
   httpRequest,
   apiGet,
@@ -0,0 +1,224 @@
+/**
+ * 分块导出 —— 将已提取的文档按标题切分为文本块，写入 JSONL 供检索 / 向量化使用
+ * 表格和代码块始终保持完整，不会被切开
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseFrontmatter } = require("./upload");
+const { COMMENTS_MARKER } = require("./comments");
+
+const CHUNKS_FILE = "chunks.jsonl";
+const DEFAULT_CHUNK_SIZE = 1500;
+
+/**
+ * 将 Markdown 正文拆成块级单元：标题、代码块、表格、段落 / 列表
+ * @returns {Array<{ type: string, text: string, level?: number }>}
+ */
+function splitBlocks(markdown) {
+  const lines = markdown.split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2].trim() });
+      i++;
+      continue;
+    }
+
+    // 代码块：直到对应的结束围栏
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      const start = i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) i++;
+      i++;
+      blocks.push({ type: "code", text: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    // HTML 表格（复杂表格）：直到对应的 </table>
+    if (/^<table[\s>]/i.test(line)) {
+      const start = i;
+      let depth = 0;
+      do {
+        depth += (lines[i].match(/<table[\s>]/gi) || []).length - (lines[i].match(/<\/table>/gi) || []).length;
+        i++;
+      } while (depth > 0 && i < lines.length);
+      blocks.push({ type: "table", text: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    // 表格：连续的 | 开头的行
+    if (line.trim().startsWith("|")) {
+      const start = i;
+      while (i < lines.length && lines[i].trim().startsWith("|")) i++;
+      blocks.push({ type: "table", text: lines.slice(start, i).join("\n") });
+      continue;
+    }
+
+    // 段落、列表、引用：直到空行、标题、代码块或表格
+    const start = i;
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^#{1,6}\s/.test(lines[i]) &&
+      !/^\s*(`{3,}|~{3,})/.test(lines[i]) &&
+      !(i > start && lines[i].trim().startsWith("|"))
+    ) {
+      i++;
+    }
+    const text = lines.slice(start, i).join("\n");
+    // 分隔线不单独成块
+    if (!/^(-{3,}|\*{3,}|_{3,})$/.test(text.trim())) {
+      blocks.push({ type: "text", text });
+    }
+  }
+  return blocks;
+}
+
+// 句子：中文句末标点，或后面是空白 / 结尾的 . ! ?（URL、文件名中的 . 不算）；链接 [...](...) 整体不拆开
+const SENTENCE_REGEX =
+  /(?:!?\[[^\]\n]*\]\([^)\n]*\)|[^。！？!?.\n[]|[!?.](?!\s|$)|\[)+(?:[。！？]|[!?.](?=\s|$))?\s*|[。！？!?.]\s*|\n/g;
+
+const LINK_REGEX = /!?\[[^\]\n]*\]\([^)\n]*\)/g;
+
+/**
+ * 将超长的段落按句子切分到 maxChars 以内（单个句子超长时硬切，切点避开链接）
+ */
+function splitLongText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const sentences = text.match(SENTENCE_REGEX) || [text];
+  const parts = [];
+  let current = "";
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = "";
+    }
+    if (sentence.length > maxChars) {
+      parts.push(...hardSplit(sentence, maxChars));
+    } else {
+      current += sentence;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * 按长度硬切文本，切点落在链接中间时移到链接之前（链接本身超长时移到链接之后）
+ */
+function hardSplit(text, maxChars) {
+  const links = [...text.matchAll(LINK_REGEX)].map((m) => [m.index, m.index + m[0].length]);
+  const parts = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    const link = links.find(([from, to]) => from < end && to > end);
+    if (link) end = link[0] > start ? link[0] : link[1];
+    parts.push(text.substring(start, end).trim());
+    start = end;
+  }
+  return parts;
+}
+
+/**
+ * 按标题切分 Markdown 正文，同一小节内的内容合并到不超过 maxChars 的块中
+ * 表格和代码块不拆分，超过上限时单独成块
+ * @returns {Array<{ headingPath: string[], text: string }>}
+ */
+function chunkMarkdown(markdown, maxChars = DEFAULT_CHUNK_SIZE) {
+  const chunks = [];
+  const headingPath = [];
+  let current = [];
+  let currentSize = 0;
+
+  const flush = () => {
+    if (current.length > 0) {
+      chunks.push({ headingPath: [...headingPath], text: current.join("\n\n") });
+    }
+    current = [];
+    currentSize = 0;
+  };
+  const add = (text) => {
+    if (current.length > 0 && currentSize + text.length + 2 > maxChars) flush();
+    current.push(text);
+    currentSize += text.length + 2;
+  };
+
+  for (const block of splitBlocks(markdown)) {
+    if (block.type === "heading") {
+      flush();
+      headingPath.length = Math.min(headingPath.length, block.level - 1);
+      while (headingPath.length < block.level - 1) headingPath.push("");
+      headingPath.push(block.text);
+    } else if (block.type === "text") {
+      splitLongText(block.text, maxChars).forEach(add);
+    } else {
+      add(block.text);
+    }
+  }
+  flush();
+
+  return chunks.map((c) => ({ ...c, headingPath: c.headingPath.filter(Boolean) }));
+}
+
+/**
+ * 去掉页面文件开头重复的标题行和分隔线，以及文末的评论区
+ */
+function extractPageBody(body, title) {
+  let text = body;
+  const commentsIdx = text.indexOf(COMMENTS_MARKER);
+  if (commentsIdx !== -1) text = text.substring(0, commentsIdx);
+  return text.replace(new RegExp(`^\\s*# ${title.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\s*\\n(\\s*---\\s*\\n)?`), "");
+}
+
+/**
+ * 将已提取的文档分块写入 outputBase/chunks.jsonl
+ * @param {string} outputBase - 输出目录
+ * @param {Array<{ pageId: string, filePath: string }>} docs - 已提取的文档（filePath 相对 outputBase）
+ * @param {number} [maxChars] - 每块最大字符数
+ * @returns {number} 写入的块数
+ */
+function exportChunks(outputBase, docs, maxChars = DEFAULT_CHUNK_SIZE) {
+  const lines = [];
+  for (const doc of docs) {
+    const filePath = path.join(outputBase, doc.filePath);
+    if (!fs.existsSync(filePath)) continue;
+    const { metadata, body } = parseFrontmatter(fs.readFileSync(filePath, "utf-8"));
+    const title = metadata.title || path.basename(filePath, ".md");
+    const ancestors = Array.isArray(metadata.ancestors) ? metadata.ancestors : [];
+    const titlePath = ancestors.map((a) => a.title).concat(title);
+
+    chunkMarkdown(extractPageBody(body, title), maxChars).forEach((chunk, i) => {
+      lines.push(
+        JSON.stringify({
+          id: `${metadata.pageId}-${i}`,
+          pageId: String(metadata.pageId || doc.pageId),
+          title,
+          titlePath,
+          heading: chunk.headingPath.length > 0 ? chunk.headingPath[chunk.headingPath.length - 1] : "",
+          headingPath: chunk.headingPath,
+          text: chunk.text,
+          sourceUrl: metadata.sourceUrl || "",
+          version: parseInt(metadata.version, 10) || null,
+        })
+      );
+    });
+  }
+  fs.writeFileSync(path.join(outputBase, CHUNKS_FILE), lines.length ? lines.join("\n") + "\n" : "", "utf-8");
+  return lines.length;
+}
+
+module.exports = {
+  CHUNKS_FILE,
+  DEFAULT_CHUNK_SIZE,
+  chunkMarkdown,
+  exportChunks,
+};
@@ -0,0 +1,151 @@
+/**
+ * 评论提取 —— 获取页面底部评论和行内评论，转为 Markdown
+ */
+const { apiGet } = require("./api");
+const { formatDateTime } = require("./utils");
+const { htmlToMarkdown } = require("./converter/html-to-md");
+
+// 评论区起始标记，push 时据此移除评论区
+const COMMENTS_MARKER = "<!-- kb-comments -->";
+
+/**
+ * 获取页面的所有评论（含回复，支持分页）
+ * @returns {Promise<Array<object>>} 按创建时间排序的评论列表
+ */
+async function getComments(pageId) {
+  const all = [];
+  let start = 0;
+  const limit = 100;
+  while (true) {
+    try {
+      const data = await apiGet(
+        `/rest/api/content/${pageId}/child/comment?depth=all&location=footer&location=inline` +
+        `&expand=body.storage,history,ancestors,extensions.inlineProperties` +
+        `&limit=${limit}&start=${start}`
+      );
+      const results = data.results || [];
+      for (const c of results) {
+        const parents = (c.ancestors || []).filter((a) => a.type === "comment");
+        const ext = c.extensions || {};
+        const inline = ext.inlineProperties || {};
+        all.push({
+          id: c.id,
+          parentId: parents.length > 0 ? parents[parents.length - 1].id : null,
+          author:
+            c.history && c.history.createdBy ? c.history.createdBy.displayName : "",
+          created: c.history ? c.history.createdDate : "",
+          html: c.body && c.body.storage ? c.body.storage.value : "",
+          location: ext.location || "footer",
+          markerRef: inline.markerRef || null,
+          selection: inline.originalSelection || "",
+        });
+      }
+      if (results.length < limit) break;
+      start += limit;
+    } catch (e) {
+      console.warn(`  ⚠️ API 获取评论失败 (pageId=${pageId}): ${e.message}`);
+      break;
+    }
+  }
+  all.sort((a, b) => new Date(a.created) - new Date(b.created));
+  return all;
+}
+
+/**
+ * 按正文中行内评论标记出现的顺序，为每个标记分配脚注编号
+ * @returns {Map<string, string>} markerRef → 脚注 id（c1、c2...）
+ */
+function assignInlineFootnotes(html, comments) {
+  const refs = new Set(comments.filter((c) => c.markerRef).map((c) => c.markerRef));
+  const footnotes = new Map();
+  const markerRegex = /<ac:inline-comment-marker[^>]*ac:ref="([^"]*)"[^>]*>/g;
+  let m;
+  while ((m = markerRegex.exec(html)) !== null) {
+    if (refs.has(m[1]) && !footnotes.has(m[1])) {
+      footnotes.set(m[1], `c${footnotes.size + 1}`);
+    }
+  }
+  return footnotes;
+}
+
+/**
+ * 评论标题行：作者 · 时间
+ */
+function commentHeader(comment) {
+  return `**${comment.author || "匿名"}** · ${formatDateTime(comment.created)}`;
+}
+
+/**
+ * 将 Markdown 文本每行加上缩进
+ */
+function indentLines(text, prefix) {
+  return text
+    .split("\n")
+    .map((l) => (l ? prefix + l : l))
+    .join("\n");
+}
+
+/**
+ * 渲染一条评论及其回复（嵌套列表）
+ */
+function renderThread(comment, repliesOf, level) {
+  const indent = "  ".repeat(level);
+  let md = `${indent}- ${commentHeader(comment)}\n\n`;
+  const body = htmlToMarkdown(comment.html);
+  if (body) {
+    md += indentLines(body, `${indent}  `) + "\n\n";
+  }
+  for (const reply of repliesOf(comment.id)) {
+    md += renderThread(reply, repliesOf, level + 1);
+  }
+  return md;
+}
+
+/**
+ * 将评论渲染为 Markdown 评论区
+ * @param {Array<object>} comments - getComments 的结果
+ * @param {Map<string, string>} footnotes - assignInlineFootnotes 的结果
+ * @returns {string} 没有评论时返回空字符串
+ */
+function renderComments(comments, footnotes) {
+  if (comments.length === 0) return "";
+
+  const byId = new Map(comments.map((c) => [c.id, c]));
+  const repliesOf = (id) => comments.filter((c) => c.parentId === id);
+  const roots = comments.filter((c) => !c.parentId || !byId.has(c.parentId));
+  const footerRoots = roots.filter((c) => c.location !== "inline");
+  const inlineRoots = roots.filter((c) => c.location === "inline");
+
+  let md = `${COMMENTS_MARKER}\n\n## 评论\n\n`;
+  if (footerRoots.length === 0) {
+    md += "（无页面评论）\n\n";
+  }
+  for (const comment of footerRoots) {
+    md += renderThread(comment, repliesOf, 0);
+  }
+
+  if (inlineRoots.length > 0) {
+    md += `### 行内评论\n\n`;
+    for (const comment of inlineRoots) {
+      const id = footnotes.get(comment.markerRef);
+      const anchor = comment.selection ? `针对「${comment.selection}」` : "针对已删除的内容";
+      let thread = `${commentHeader(comment)} · ${anchor}\n\n${htmlToMarkdown(comment.html)}\n\n`;
+      for (const reply of repliesOf(comment.id)) {
+        thread += renderThread(reply, repliesOf, 0);
+      }
+      // 有对应正文标记的写成脚注定义，否则作为普通段落
+      md += id
+        ? `[^${id}]: ${indentLines(thread.trim(), "    ").trimStart()}\n\n`
+        : `${thread}`;
+    }
+  }
+
+  return md.trim() + "\n";
+}
+
+module.exports = {
+  COMMENTS_MARKER,
+  getComments,
+  assignInlineFootnotes,
+  renderComments,
+};
@@ -0,0 +1,110 @@
+/**
+ * 提示面板 —— Confluence info/tip/note/warning/panel 宏与 GitHub 风格提示块（> [!NOTE]）互转
+ */
+const { escapeXml } = require("../utils");
+
+// Confluence 宏名 → 提示块类型（按颜色对应：蓝 / 绿 / 黄 / 红）
+const MACRO_TO_ADMONITION = {
+  info: "NOTE",
+  tip: "TIP",
+  note: "WARNING",
+  warning: "CAUTION",
+  panel: "PANEL",
+};
+
+// 提示块类型 → Confluence 宏名（IMPORTANT 无对应宏，按 info 处理）
+const ADMONITION_TO_MACRO = {
+  NOTE: "info",
+  TIP: "tip",
+  IMPORTANT: "info",
+  WARNING: "note",
+  CAUTION: "warning",
+  PANEL: "panel",
+};
+
+const ADMONITION_START = /^([ \t]*)>\s?\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION|PANEL)\][ \t]*(.*)$/i;
+
+/**
+ * 将提示块渲染为 Markdown 引用
+ * @param {string} macroName - Confluence 宏名
+ * @param {string} title - 面板标题（可为空）
+ * @param {string} body - 已转换的 Markdown 正文
+ */
+function renderAdmonition(macroName, title, body) {
+  const head = `> [!${MACRO_TO_ADMONITION[macroName]}]${title ? " " + title : ""}`;
+  const lines = body ? body.split("\n").map((l) => (l ? `> ${l}` : ">")) : [];
+  return `\n${[head, ...lines].join("\n")}\n\n`;
+}
+
+/**
+ * 预处理 Markdown：将提示块替换为起止占位注释，块内内容还原为普通 Markdown
+ * marked 会原样输出占位注释，转换后再由 restoreAdmonitionMacros 替换为 Confluence 宏
+ * @param {string} md - Markdown 内容
+ * @param {Array<{ macro: string, title: string }>} blocks - 收集到的提示块（按占位编号）
+ */
+function extractAdmonitions(md, blocks) {
+  const lines = md.split("\n");
+  const out = [];
+  let fence = null;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+      out.push(line);
+      i++;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      out.push(line);
+      i++;
+      continue;
+    }
+
+    const start = line.match(ADMONITION_START);
+    if (!start) {
+      out.push(line);
+      i++;
+      continue;
+    }
+
+    // 收集缩进相同的连续引用行，去掉引用前缀
+    const [, indent, type, title] = start;
+    const inner = [];
+    i++;
+    while (i < lines.length && lines[i].startsWith(indent) && /^>/.test(lines[i].slice(indent.length))) {
+      inner.push(lines[i].slice(indent.length).replace(/^>\s?/, ""));
+      i++;
+    }
+    const id = blocks.length;
+    blocks.push({ macro: ADMONITION_TO_MACRO[type.toUpperCase()], title: title.trim() });
+    // 占位注释和块内内容保持原缩进，列表项中的提示块仍留在列表项内
+    const body = extractAdmonitions(inner.join("\n"), blocks)
+      .split("\n")
+      .map((l) => (l ? indent + l : l));
+    out.push("", `${indent}<!--KB_ADMONITION_START_${id}-->`, "", ...body, "", `${indent}<!--KB_ADMONITION_END_${id}-->`, "");
+  }
+  return out.join("\n");
+}
+
+/**
+ * 将占位注释替换为 Confluence 提示宏
+ */
+function restoreAdmonitionMacros(html, blocks) {
+  return html
+    .replace(/<!--KB_ADMONITION_START_(\d+)-->\s*/g, (_, id) => {
+      const { macro, title } = blocks[id];
+      const titleParam = title ? `<ac:parameter ac:name="title">${escapeXml(title)}</ac:parameter>` : "";
+      return `<ac:structured-macro ac:name="${macro}">${titleParam}<ac:rich-text-body>`;
+    })
+    .replace(/\s*<!--KB_ADMONITION_END_\d+-->/g, "</ac:rich-text-body></ac:structured-macro>");
+}
+
+module.exports = {
+  MACRO_TO_ADMONITION,
+  renderAdmonition,
+  extractAdmonitions,
+  restoreAdmonitionMacros,
+};
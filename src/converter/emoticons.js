@@ -0,0 +1,101 @@
+/**
+ * 表情 —— Confluence 表情（ac:emoticon）与 emoji 互转
+ * 没有对应表情的补充平面字符（U+10000 以上）编码为数字字符引用，避免 Confluence 报 "Unsupported character"
+ */
+
+// Confluence 表情名 → emoji
+const EMOTICON_TO_EMOJI = {
+  smile: "🙂",
+  sad: "🙁",
+  cheeky: "😛",
+  laugh: "😀",
+  wink: "😉",
+  "thumbs-up": "👍",
+  "thumbs-down": "👎",
+  information: "ℹ️",
+  tick: "✅",
+  cross: "❌",
+  warning: "⚠️",
+  plus: "➕",
+  minus: "➖",
+  question: "❓",
+  "light-on": "💡",
+  "yellow-star": "⭐",
+  heart: "❤️",
+  "broken-heart": "💔",
+};
+
+// 没有合适 emoji 的表情，pull 时写成 :name:
+const NAME_ONLY_EMOTICONS = ["light-off", "red-star", "green-star", "blue-star"];
+
+// emoji → Confluence 表情名（去掉变体选择符 U+FE0F 后匹配）
+const EMOJI_TO_EMOTICON = {
+  ...Object.fromEntries(Object.entries(EMOTICON_TO_EMOJI).map(([name, emoji]) => [emoji.replace(/\uFE0F/g, ""), name])),
+  "✔": "tick",
+  "☑": "tick",
+  "✖": "cross",
+  "❗": "warning",
+  "😊": "smile",
+  "😄": "laugh",
+  "🌟": "yellow-star",
+};
+
+// 最长优先，避免多码点的 emoji 被拆开匹配；带肤色或组合（ZWJ）的 emoji 不转换
+const EMOJI_REGEX = new RegExp(
+  `(?:${Object.keys(EMOJI_TO_EMOTICON)
+    .sort((a, b) => b.length - a.length)
+    .join("|")})\\uFE0F?(?![\\u{1F3FB}-\\u{1F3FF}\\u200D\\uFE0F])|:(${NAME_ONLY_EMOTICONS.join("|")}):`,
+  "gu"
+);
+
+const SUPPLEMENTARY_REGEX = /[\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Confluence 表情转为 emoji
+ * @param {object} attrs - ac:emoticon 的属性
+ */
+function emoticonToEmoji(attrs) {
+  // Cloud 版本的表情带有 emoji 原字符
+  if (attrs["ac:emoji-fallback"]) return attrs["ac:emoji-fallback"];
+  const name = attrs["ac:name"] || "";
+  return EMOTICON_TO_EMOJI[name] || (NAME_ONLY_EMOTICONS.includes(name) ? `:${name}:` : "");
+}
+
+/**
+ * 补充平面字符编码为数字字符引用
+ */
+function encodeSupplementary(text) {
+  return text.replace(SUPPLEMENTARY_REGEX, (ch) => `&#x${ch.codePointAt(0).toString(16).toUpperCase()};`);
+}
+
+/**
+ * 将 storage format 中的 emoji 转为 Confluence 表情，其余补充平面字符编码为数字字符引用
+ * 代码、宏参数和标签属性中的 emoji 不转为表情；CDATA 中无法使用字符引用，拆开 CDATA 后插入
+ */
+function convertEmoji(html) {
+  let literalDepth = 0;
+  return html
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>|<[^>]+>)/)
+    .map((part, index) => {
+      if (index % 2 === 0) {
+        if (literalDepth > 0) return encodeSupplementary(part);
+        const text = part.replace(
+          EMOJI_REGEX,
+          (emoji, name) => `<ac:emoticon ac:name="${name || EMOJI_TO_EMOTICON[emoji.replace(/\uFE0F/g, "")]}" />`
+        );
+        return encodeSupplementary(text);
+      }
+      if (part.startsWith("<![CDATA[")) {
+        return part.replace(SUPPLEMENTARY_REGEX, (ch) => `]]>${encodeSupplementary(ch)}<![CDATA[`);
+      }
+      const tag = part.match(/^<(\/?)(code|pre|ac:parameter)[\s>]/);
+      if (tag) literalDepth += tag[1] ? -1 : 1;
+      return encodeSupplementary(part);
+    })
+    .join("");
+}
+
+module.exports = {
+  emoticonToEmoji,
+  convertEmoji,
+};
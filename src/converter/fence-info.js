@@ -0,0 +1,58 @@
+/**
+ * 代码块信息串 —— 语言和宏参数写在围栏之后，如 ```python title="setup.py" linenumbers
+ * 值为 true 的参数只写参数名，值为 false 的参数省略
+ */
+
+/**
+ * 引号中的 \ 和 " 加反斜杠转义，与 parseFenceInfo 的反转义互逆
+ */
+function escapeQuoted(value) {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+/**
+ * 生成信息串
+ * @param {string} language - 语言（可为空）
+ * @param {Array<[string, string]>} params - 参数列表（按输出顺序）
+ * @param {string[]} [quoted] - 总是加引号的参数名（如 title）
+ */
+function formatFenceInfo(language, params, quoted = []) {
+  const parts = language ? [language] : [];
+  for (const [name, value] of params) {
+    if (value === "false" || value === "") continue;
+    // 没有语言时第一个参数写成 name=true，避免被当作语言
+    if (value === "true" && parts.length > 0) parts.push(name);
+    else if (quoted.includes(name) || /[\s"]/.test(value)) parts.push(`${name}="${escapeQuoted(value)}"`);
+    else parts.push(`${name}=${value}`);
+  }
+  return parts.join(" ");
+}
+
+/**
+ * 解析信息串：第一个不含 = 的词为语言，其余为 name=value、name="value" 或只有参数名（值为 true）
+ * 参数名只能由字母、数字、_、- 组成，其他词（如 {1,3} 这类其他工具的标注）忽略
+ * @returns {{ language: string, params: Array<[string, string]> }}
+ */
+function parseFenceInfo(info) {
+  const tokenRegex = /([\w-]+)=(?:"((?:[^"\\]|\\.)*)"|(\S*))|(\S+)/g;
+  let language = "";
+  const params = [];
+  let m;
+  let first = true;
+  while ((m = tokenRegex.exec(info.trim())) !== null) {
+    if (m[1]) {
+      params.push([m[1], m[2] !== undefined ? m[2].replace(/\\(.)/g, "$1") : m[3]]);
+    } else if (first) {
+      language = m[4];
+    } else if (/^[\w-]+$/.test(m[4])) {
+      params.push([m[4], "true"]);
+    }
+    first = false;
+  }
+  return { language, params };
+}
+
+module.exports = {
+  formatFenceInfo,
+  parseFenceInfo,
+};
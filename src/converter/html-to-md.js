@@ -1,174 +1,620 @@
 /**
  * Confluence Storage Format HTML → Markdown 转换器
+ * 先将 storage format 解析为节点树，再按元素逐个转换：
+ * 块级元素（段落、标题、列表、表格、宏等）各自生成 Markdown 块，行内元素拼接为段落文本
  */
+const { parseXhtml, textContent, findChild, childElements } = require("./xhtml");
+const { convertJiraMacro } = require("../jira");
+const { MACRO_TO_ADMONITION, renderAdmonition } = require("./admonitions");
+const { formatFenceInfo } = require("./fence-info");
+const { emoticonToEmoji } = require("./emoticons");
+const { mathMacroType, renderMath } = require("./math");
+const { getUser } = require("../users");
+
+// 提及用户的链接前缀，push 时据此还原为 ri:user 提及
+const USER_LINK_PREFIX = "kb-user://";
+
+// 不输出任何内容的元素
+const SKIPPED_ELEMENTS = new Set([
+  "ac:parameter",
+  "ac:plain-text-body",
+  "ac:placeholder",
+  "colgroup",
+  "col",
+  "script",
+  "style",
+]);
+
+// 只输出子元素内容的容器元素
+const TRANSPARENT_ELEMENTS = new Set([
+  "div",
+  "section",
+  "article",
+  "body",
+  "ac:layout",
+  "ac:layout-section",
+  "ac:layout-cell",
+  "ac:rich-text-body",
+]);
 
 /**
  * 将 Confluence storage format HTML 转为 Markdown
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.inlineComments] - 行内评论标记 ref → 脚注 id，
+ *   对应的被评论文本后追加脚注引用 [^id]
+ * @param {string} [options.baseUrl] - KB 地址，页面链接转为该地址下的 /display/ 链接
+ * @param {string} [options.spaceKey] - 当前页面所在空间，链接未指定空间时使用
  */
-function htmlToMarkdown(html) {
-  let md = html;
+function htmlToMarkdown(html, options = {}) {
+  const ctx = { options, inTable: false };
+  return joinBlocks(renderBlocks(parseXhtml(html || "").children, ctx));
+}
 
-  // 移除 CDATA、注释
-  md = md.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, "");
-  md = md.replace(/<!--[\s\S]*?-->/g, "");
+// ==================== 块级转换 ====================
 
-  // 处理 Confluence 宏容器 - 提取内容
-  md = md.replace(
-    /<ac:structured-macro[^>]*ac:name="code"[^>]*>[\s\S]*?<ac:plain-text-body>\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*<\/ac:plain-text-body>[\s\S]*?<\/ac:structured-macro>/g,
-    "\n```\n$1\n```\n\n"
-  );
+/**
+ * 将节点列表转为 Markdown 块：连续的行内内容合并为一个段落，块级元素各自成块
+ * @returns {Array<{ type: string, text: string }>}
+ */
+function renderBlocks(nodes, ctx) {
+  const blocks = [];
+  let inline = "";
+  const flush = () => {
+    const text = inline
+      .split("\n")
+      .map((l) => l.trim())
+      .join("\n")
+      .trim();
+    if (text) blocks.push({ type: "paragraph", text });
+    inline = "";
+  };
+  const walk = (list) => {
+    for (const node of list) {
+      if (node.type === "text") {
+        inline += renderText(node.value);
+        continue;
+      }
+      if (node.type !== "element") continue;
+      const kind = elementKind(node);
+      if (kind === "skip") continue;
+      if (kind === "transparent") {
+        walk(node.children);
+      } else if (kind === "block") {
+        flush();
+        blocks.push(...[].concat(renderBlock(node, ctx)).filter((b) => b && b.text));
+      } else {
+        inline += renderInline(node, ctx);
+      }
+    }
+  };
+  walk(nodes);
+  flush();
+  return blocks;
+}
 
-  // 处理 draw.io 宏
-  md = md.replace(
-    /<ac:structured-macro[^>]*ac:name="drawio"[^>]*>[\s\S]*?<ac:parameter ac:name="diagramName">([^<]*)<\/ac:parameter>[\s\S]*?<\/ac:structured-macro>/g,
-    "\n![draw.io: $1]($1.png)\n\n"
-  );
+/**
+ * 拼接 Markdown 块；tight 为 true 时（列表项内）段落与其后的子列表之间不空行
+ */
+function joinBlocks(blocks, tight = false) {
+  let md = "";
+  blocks.forEach((block, i) => {
+    if (i > 0) md += tight && block.type === "list" && blocks[i - 1].type === "paragraph" ? "\n" : "\n\n";
+    md += block.text;
+  });
+  return md;
+}
 
-  // 移除其他 Confluence 宏标签但保留内容
-  md = md.replace(/<ac:structured-macro[^>]*>|<\/ac:structured-macro>/g, "");
-  md = md.replace(/<ac:rich-text-body>|<\/ac:rich-text-body>/g, "");
-  md = md.replace(/<ac:parameter[^>]*>[\s\S]*?<\/ac:parameter>/g, "");
-  md = md.replace(/<ac:plain-text-body>[\s\S]*?<\/ac:plain-text-body>/g, "");
+/**
+ * 判断元素按块级、行内、透明容器还是跳过处理
+ */
+function elementKind(node) {
+  if (SKIPPED_ELEMENTS.has(node.name)) return "skip";
+  if (node.name === "ac:structured-macro") {
+    const macroName = node.attrs["ac:name"];
+    if (macroName === "jira") return macroParams(node).key ? "inline" : "block";
+    const mathType = mathMacroType(macroName);
+    if (mathType) return mathType;
+    // 未识别的宏只保留富文本内容
+    return MACRO_HANDLERS[macroName] ? "block" : "transparent";
+  }
+  if (BLOCK_HANDLERS[node.name]) return "block";
+  if (TRANSPARENT_ELEMENTS.has(node.name)) return "transparent";
+  return "inline";
+}
 
-  // 处理图片 - Confluence 内嵌图片
-  md = md.replace(
-    /<ac:image[^>]*>\s*<ri:attachment[^>]*?ri:filename="([^"]*)"[^>]*\/>\s*<\/ac:image>/g,
-    "![image]($1)"
-  );
-  md = md.replace(
-    /<ac:image[^>]*>\s*<ri:url[^>]*?ri:value="([^"]*)"[^>]*\/>\s*<\/ac:image>/g,
-    "![image]($1)"
-  );
+/**
+ * 转换块级元素
+ * @returns {object|Array<object>} Markdown 块
+ */
+function renderBlock(node, ctx) {
+  if (node.name === "ac:structured-macro") {
+    if (mathMacroType(node.attrs["ac:name"])) return { type: "paragraph", text: renderMathMacro(node) };
+    return MACRO_HANDLERS[node.attrs["ac:name"]](node, ctx);
+  }
+  return BLOCK_HANDLERS[node.name](node, ctx);
+}
 
-  // 处理 Confluence 链接
-  md = md.replace(
-    /<ac:link>\s*<ri:page\s+ri:content-title="([^"]*)"[^>]*\/>\s*(?:<ac:plain-text-link-body>\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*<\/ac:plain-text-link-body>\s*)?<\/ac:link>/g,
-    (_, title, text) => `[${text || title}](${title})`
-  );
+/**
+ * 标题：# ~ ######
+ */
+function renderHeading(node, ctx) {
+  const level = parseInt(node.name.substring(1), 10);
+  const text = renderInlineChildren(node.children, ctx).replace(/\s*\n\s*/g, " ").trim();
+  return text ? { type: "heading", text: `${"#".repeat(level)} ${text}` } : null;
+}
+
+/**
+ * 引用块：内容照常转换后逐行加 > 前缀
+ */
+function renderBlockquote(node, ctx) {
+  const inner = joinBlocks(renderBlocks(node.children, ctx));
+  return inner ? { type: "blockquote", text: prefixLines(inner, ">") } : null;
+}
 
-  // 移除剩余 Confluence 特有标签
-  md = md.replace(/<\/?ac:[^>]*>/g, "");
-  md = md.replace(/<\/?ri:[^>]*>/g, "");
-
-  // 标准 HTML 转 Markdown
-  md = md.replace(/<h1[^>]*>([\s\S]*?)<\/h1>/gi, "\n# $1\n\n");
-  md = md.replace(/<h2[^>]*>([\s\S]*?)<\/h2>/gi, "\n## $1\n\n");
-  md = md.replace(/<h3[^>]*>([\s\S]*?)<\/h3>/gi, "\n### $1\n\n");
-  md = md.replace(/<h4[^>]*>([\s\S]*?)<\/h4>/gi, "\n#### $1\n\n");
-  md = md.replace(/<h5[^>]*>([\s\S]*?)<\/h5>/gi, "\n##### $1\n\n");
-  md = md.replace(/<h6[^>]*>([\s\S]*?)<\/h6>/gi, "\n###### $1\n\n");
-
-  // 粗体、斜体
-  md = md.replace(/<strong[^>]*>([\s\S]*?)<\/strong>/gi, "**$1**");
-  md = md.replace(/<b[^>]*>([\s\S]*?)<\/b>/gi, "**$1**");
-  md = md.replace(/<em[^>]*>([\s\S]*?)<\/em>/gi, "*$1*");
-  md = md.replace(/<i[^>]*>([\s\S]*?)<\/i>/gi, "*$1*");
-
-  // 行内代码
-  md = md.replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, "`$1`");
-
-  // 代码块
-  md = md.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, content) => {
-    const clean = content.replace(/<[^>]*>/g, "");
-    return `\n\`\`\`\n${clean}\n\`\`\`\n\n`;
+/**
+ * 代码块
+ */
+function renderCodeBlock(code, info = "") {
+  const text = code.replace(/^\n/, "").replace(/\n$/, "");
+  // 代码中含 ``` 时使用更长的围栏
+  const longest = Math.max(2, ...(text.match(/`{3,}/g) || []).map((f) => f.length));
+  const fence = "`".repeat(longest + 1);
+  return { type: "code", text: `${fence}${info}\n${text}\n${fence}` };
+}
+
+/**
+ * 列表：列表项内容按块转换，续行缩进到列表标记之后，嵌套列表随之缩进
+ */
+function renderList(node, ctx) {
+  const ordered = node.name === "ol";
+  let index = parseInt(node.attrs.start, 10) || 1;
+  const items = childElements(node, "li").map((li) => {
+    const marker = ordered ? `${index++}. ` : "- ";
+    return marker + indentContinuation(joinBlocks(renderBlocks(li.children, ctx), true), marker.length);
   });
+  return items.length > 0 ? { type: "list", text: items.join("\n") } : null;
+}
 
-  // 链接
-  md = md.replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "[$2]($1)");
-
-  // 图片
-  md = md.replace(/<img[^>]*src="([^"]*)"[^>]*alt="([^"]*)"[^>]*\/?>/gi, "![$2]($1)");
-  md = md.replace(/<img[^>]*src="([^"]*)"[^>]*\/?>/gi, "![image]($1)");
-
-  // 表格
-  md = md.replace(/<table[^>]*>([\s\S]*?)<\/table>/gi, (_, tableContent) => {
-    const rows = [];
-    const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
-    let rowMatch;
-    while ((rowMatch = rowRegex.exec(tableContent)) !== null) {
-      const cells = [];
-      const cellRegex = /<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi;
-      let cellMatch;
-      while ((cellMatch = cellRegex.exec(rowMatch[1])) !== null) {
-        const cellText = cellMatch[1]
-          .replace(/<[^>]*>/g, "")
-          .replace(/\|/g, "\\|")
-          .replace(/\n+/g, " ")
-          .trim();
-        cells.push(cellText);
-      }
-      rows.push(cells);
-    }
-    if (rows.length === 0) return "";
-    const colCount = Math.max(...rows.map((r) => r.length));
-    rows.forEach((r) => {
-      while (r.length < colCount) r.push("");
-    });
-    let result = "\n| " + rows[0].join(" | ") + " |\n";
-    result += "| " + rows[0].map(() => "---").join(" | ") + " |\n";
-    for (let i = 1; i < rows.length; i++) {
-      result += "| " + rows[i].join(" | ") + " |\n";
-    }
-    return result + "\n";
+/**
+ * 任务列表：转为 - [x] / - [ ] 复选框列表，任务内容按块转换
+ */
+function renderTaskList(node, ctx) {
+  const items = childElements(node, "ac:task").map((task) => {
+    const status = findChild(task, "ac:task-status");
+    const body = findChild(task, "ac:task-body");
+    const mark = status && textContent(status).trim() === "complete" ? "x" : " ";
+    const text = body ? joinBlocks(renderBlocks(body.children, ctx), true) : "";
+    return `- [${mark}] ${indentContinuation(text, 2)}`;
   });
+  return items.length > 0 ? { type: "list", text: items.join("\n") } : null;
+}
 
-  // 列表
-  md = md.replace(/<ul[^>]*>([\s\S]*?)<\/ul>/gi, (_, content) => {
-    const items = [];
-    const liRegex = /<li[^>]*>([\s\S]*?)<\/li>/gi;
-    let liMatch;
-    while ((liMatch = liRegex.exec(content)) !== null) {
-      items.push("- " + liMatch[1].replace(/<[^>]*>/g, "").trim());
-    }
-    return "\n" + items.join("\n") + "\n\n";
+/**
+ * 表格：能表示为 GFM 表格时转为 Markdown 表格，单元格内保留行内格式，多个段落以 <br> 分隔；
+ * 有合并单元格或单元格内含列表、代码块、嵌套表格等块级内容时保留为 HTML 表格
+ */
+function renderTable(node, ctx) {
+  const cellCtx = { ...ctx, inTable: true };
+  const rows = tableRows(node).map((tr) =>
+    childElements(tr)
+      .filter((c) => c.name === "th" || c.name === "td")
+      .map((cell) => ({ cell, blocks: renderBlocks(cell.children, cellCtx) }))
+  );
+  if (rows.length === 0) return null;
+  const colCount = Math.max(...rows.map((r) => r.length));
+  if (colCount === 0) return null;
+
+  const isComplex = rows.some((r) =>
+    r.some(
+      ({ cell, blocks }) =>
+        parseInt(cell.attrs.colspan, 10) > 1 ||
+        parseInt(cell.attrs.rowspan, 10) > 1 ||
+        blocks.some((b) => b.type !== "paragraph")
+    )
+  );
+  // 嵌套在单元格中的表格同样保留为 HTML，保证外层 HTML 表格完整
+  if (isComplex || ctx.inTable) return renderHtmlTable(rows);
+
+  const cells = rows.map((r) => r.map(({ blocks }) => renderCell(blocks)));
+  cells.forEach((r) => {
+    while (r.length < colCount) r.push("");
   });
+  const lines = [`| ${cells[0].join(" | ")} |`, `| ${cells[0].map(() => "---").join(" | ")} |`];
+  for (let i = 1; i < cells.length; i++) {
+    lines.push(`| ${cells[i].join(" | ")} |`);
+  }
+  return { type: "table", text: lines.join("\n") };
+}
+
+/**
+ * 表格的所有行（含 thead / tbody / tfoot 中的行，不含嵌套表格的行）
+ */
+function tableRows(table) {
+  const rows = [];
+  for (const child of childElements(table)) {
+    if (child.name === "tr") rows.push(child);
+    else if (["thead", "tbody", "tfoot"].includes(child.name)) rows.push(...childElements(child, "tr"));
+  }
+  return rows;
+}
 
-  md = md.replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (_, content) => {
-    const items = [];
-    const liRegex = /<li[^>]*>([\s\S]*?)<\/li>/gi;
-    let liMatch;
-    let idx = 1;
-    while ((liMatch = liRegex.exec(content)) !== null) {
-      items.push(`${idx++}. ` + liMatch[1].replace(/<[^>]*>/g, "").trim());
+/**
+ * GFM 单元格内容：转为单行 Markdown（| 转义，换行写成 <br>）
+ */
+function renderCell(blocks) {
+  return joinBlocks(blocks)
+    .replace(/\|/g, "\\|")
+    .replace(/\n+/g, "<br>")
+    .trim();
+}
+
+/**
+ * 复杂表格保留为 HTML 表格：只保留 th / td 及合并单元格属性，
+ * 单元格内容先转为 Markdown 再渲染为 HTML（与 push 时的转换一致）
+ * 表格中不能出现空行，否则 Markdown 会提前结束 HTML 块
+ */
+function renderHtmlTable(rows) {
+  const lines = ["<table>"];
+  for (const row of rows) {
+    lines.push("<tr>");
+    for (const { cell, blocks } of row) {
+      const attrs = ["colspan", "rowspan"]
+        .filter((name) => parseInt(cell.attrs[name], 10) > 1)
+        .map((name) => ` ${name}="${parseInt(cell.attrs[name], 10)}"`)
+        .join("");
+      lines.push(`<${cell.name}${attrs}>${markdownToHtml(joinBlocks(blocks))}</${cell.name}>`);
     }
-    return "\n" + items.join("\n") + "\n\n";
-  });
+    lines.push("</tr>");
+  }
+  lines.push("</table>");
+  return { type: "html", text: lines.join("\n") };
+}
 
-  // 引用
-  md = md.replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (_, content) => {
-    // 先将 <p>...</p> 转为独立段落，保留换行
-    let inner = content
-      .replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, "$1\n")
-      .replace(/<br\s*\/?>/gi, "\n")
-      .replace(/<[^>]*>/g, "")
-      .trim();
-    return "\n" + inner.split("\n").map((l) => `> ${l}`).join("\n") + "\n\n";
-  });
+/**
+ * 将单元格的 Markdown 渲染为 HTML：单个段落去掉 <p>，空元素改为自闭合，
+ * 空行中的换行写成 &#10;（代码块中的空行仍能保留）
+ */
+function markdownToHtml(md) {
+  if (!md) return "";
+  const { marked } = require("marked");
+  let html = marked.parse(md).trim();
+  const single = html.match(/^<p>([\s\S]*)<\/p>$/);
+  if (single && !single[1].includes("<p>")) html = single[1];
+  return html
+    .replace(/<(br|hr|img|input)([^>]*?)\s*\/?>/g, "<$1$2 />")
+    .replace(/\n(\n+)/g, (_, rest) => "\n" + "&#10;".repeat(rest.length));
+}
+
+const BLOCK_HANDLERS = {
+  p: (node, ctx) => renderBlocks(node.children, ctx),
+  h1: renderHeading,
+  h2: renderHeading,
+  h3: renderHeading,
+  h4: renderHeading,
+  h5: renderHeading,
+  h6: renderHeading,
+  blockquote: renderBlockquote,
+  pre: (node) => renderCodeBlock(textContent(node)),
+  hr: () => ({ type: "hr", text: "---" }),
+  ul: renderList,
+  ol: renderList,
+  table: renderTable,
+  "ac:task-list": renderTaskList,
+};
+
+// ==================== 宏转换 ====================
+
+/**
+ * 宏参数（参数名 → 文本值）
+ */
+function macroParams(node) {
+  const params = {};
+  for (const param of childElements(node, "ac:parameter")) {
+    params[param.attrs["ac:name"] || ""] = textContent(param);
+  }
+  return params;
+}
+
+/**
+ * 宏的富文本内容，按块转换为 Markdown
+ */
+function macroBody(node, ctx) {
+  const body = findChild(node, "ac:rich-text-body");
+  return body ? joinBlocks(renderBlocks(body.children, ctx)) : "";
+}
+
+/**
+ * 提示面板宏转为提示块（> [!NOTE] 标题）
+ */
+function renderAdmonitionMacro(node, ctx) {
+  const title = (macroParams(node).title || "").replace(/\s+/g, " ").trim();
+  return {
+    type: "blockquote",
+    text: renderAdmonition(node.attrs["ac:name"], title, macroBody(node, ctx)).trim(),
+  };
+}
+
+/**
+ * expand 宏转为 <details> 折叠块，标题写在 <summary> 中
+ */
+function renderExpandMacro(node, ctx) {
+  const title = (macroParams(node).title || "").replace(/\s+/g, " ").trim();
+  const body = macroBody(node, ctx);
+  const lines = ["<details>"];
+  if (title) lines.push(`<summary>${escapeHtml(title)}</summary>`);
+  lines.push("", ...(body ? [body, ""] : []), "</details>");
+  return { type: "html", text: lines.join("\n") };
+}
+
+/**
+ * code 宏转为代码块，语言和参数写入信息串
+ */
+function renderCodeMacro(node) {
+  const body = findChild(node, "ac:plain-text-body");
+  const { language, ...params } = macroParams(node);
+  // 常用参数在前，其余参数按宏中的顺序保留
+  const ordered = ["title", "linenumbers", "collapse"].filter((name) => name in params);
+  const rest = Object.keys(params).filter((name) => !ordered.includes(name));
+  const info = formatFenceInfo(
+    language || "",
+    [...ordered, ...rest].map((name) => [name, params[name]]),
+    ["title"]
+  );
+  return renderCodeBlock(body ? textContent(body) : "", info);
+}
 
-  // 段落
-  md = md.replace(/<p[^>]*>([\s\S]*?)<\/p>/gi, "\n$1\n\n");
+/**
+ * draw.io 宏转为预览图引用（预览图为同名 PNG 附件）
+ */
+function renderDrawioMacro(node) {
+  const name = macroParams(node).diagramName;
+  return name ? { type: "paragraph", text: `![draw.io: ${name}](${name}.png)` } : null;
+}
+
+/**
+ * JQL 查询宏转为 ```jql 代码块（单个 issue 的 Jira 宏作为行内元素处理）
+ */
+function renderJqlMacro(node) {
+  const md = convertJiraMacro(macroParams(node));
+  return md ? { type: "code", text: md } : null;
+}
+
+const MACRO_HANDLERS = {
+  code: renderCodeMacro,
+  drawio: renderDrawioMacro,
+  jira: renderJqlMacro,
+  expand: renderExpandMacro,
+  ...Object.fromEntries(Object.keys(MACRO_TO_ADMONITION).map((name) => [name, renderAdmonitionMacro])),
+};
+
+// ==================== 行内转换 ====================
+
+/**
+ * 文本节点：合并空白，转义会被误认为 HTML 标签、实体或公式的字符
+ */
+function renderText(text) {
+  return text
+    .replace(/\s+/g, " ")
+    .replace(/&(?=#?\w+;)/g, "&amp;")
+    .replace(/<(?=[a-zA-Z/!?])/g, "&lt;")
+    .replace(/\$/g, "\\$");
+}
+
+/**
+ * 转换行内元素
+ */
+function renderInline(node, ctx) {
+  const handler = INLINE_HANDLERS[node.name];
+  return handler ? handler(node, ctx) : renderInlineChildren(node.children, ctx);
+}
 
-  // 换行
-  md = md.replace(/<br\s*\/?>/gi, "\n");
+/**
+ * 将节点列表转为行内文本（其中的块级元素只保留文字内容）
+ */
+function renderInlineChildren(nodes, ctx) {
+  let text = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      text += renderText(node.value);
+    } else if (node.type === "element") {
+      const kind = elementKind(node);
+      if (kind === "skip") continue;
+      if (kind === "inline") text += renderInline(node, ctx);
+      else text += ` ${renderInlineChildren(node.children, ctx)} `;
+    }
+  }
+  return text;
+}
 
-  // 水平线
-  md = md.replace(/<hr\s*\/?>/gi, "\n---\n\n");
+/**
+ * 用标记包裹行内内容（首尾空白移到标记之外）
+ */
+function wrapInline(text, mark) {
+  const m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return m[2] ? `${m[1]}${mark}${m[2]}${mark}${m[3]}` : text;
+}
 
-  // 移除所有剩余 HTML 标签
-  md = md.replace(/<[^>]*>/g, "");
+/**
+ * 行内代码（内容含反引号时使用双反引号）
+ */
+function renderInlineCode(node) {
+  const code = textContent(node).replace(/\s*\n\s*/g, " ");
+  if (!code) return "";
+  return code.includes("`") ? `\`\` ${code} \`\`` : `\`${code}\``;
+}
 
-  // HTML 实体解码
-  md = md.replace(/&amp;/g, "&");
-  md = md.replace(/&lt;/g, "<");
-  md = md.replace(/&gt;/g, ">");
-  md = md.replace(/&quot;/g, '"');
-  md = md.replace(/&#39;/g, "'");
-  md = md.replace(/&nbsp;/g, " ");
+/**
+ * 普通链接
+ */
+function renderAnchor(node, ctx) {
+  const text = renderInlineChildren(node.children, ctx).trim();
+  const href = node.attrs.href;
+  if (!href) return text;
+  return `[${text || href}](${href})`;
+}
 
-  // 清理多余空行
-  md = md.replace(/\n{3,}/g, "\n\n");
+/**
+ * Confluence 图片：附件图片引用文件名，外部图片引用 URL
+ */
+function renderImage(node) {
+  const attachment = findChild(node, "ri:attachment");
+  if (attachment && attachment.attrs["ri:filename"]) return `![image](${attachment.attrs["ri:filename"]})`;
+  const url = findChild(node, "ri:url");
+  if (url && url.attrs["ri:value"]) return `![image](${url.attrs["ri:value"]})`;
+  return "";
+}
 
-  return md.trim();
+/**
+ * 行内评论标记：被评论文本后追加脚注引用
+ */
+function renderCommentMarker(node, ctx) {
+  const text = renderInlineChildren(node.children, ctx);
+  const inlineComments = ctx.options.inlineComments || new Map();
+  const ref = node.attrs["ac:ref"];
+  return inlineComments.has(ref) ? `${text}[^${inlineComments.get(ref)}]` : text;
+}
+
+/**
+ * 单个 issue 的 Jira 宏转为链接
+ */
+function renderJiraIssue(node) {
+  return convertJiraMacro(macroParams(node));
+}
+
+/**
+ * 行内宏：数学公式或单个 Jira issue
+ */
+function renderInlineMacro(node) {
+  return mathMacroType(node.attrs["ac:name"]) ? renderMathMacro(node) : renderJiraIssue(node);
+}
+
+/**
+ * 数学宏转为 $…$ / $$…$$（公式在 body 参数或纯文本内容中，随插件而不同）
+ */
+function renderMathMacro(node) {
+  const body = findChild(node, "ac:plain-text-body");
+  const latex = macroParams(node).body || (body ? textContent(body) : "");
+  return renderMath(mathMacroType(node.attrs["ac:name"]), latex);
+}
+
+/**
+ * 转换 <ac:link>：指向页面的链接转为 KB 页面链接，仅含锚点的链接转为页内锚点，
+ * 提及用户转为 kb-user:// 链接；其他链接（附件、博客等）只保留链接文字
+ */
+function renderConfluenceLink(node, ctx) {
+  const anchor = node.attrs["ac:anchor"];
+  const resource = childElements(node).find((c) => c.name.startsWith("ri:"));
+  if (resource && resource.name === "ri:user") {
+    return convertMention(resource.attrs);
+  }
+
+  const plainBody = findChild(node, "ac:plain-text-link-body");
+  const richBody = findChild(node, "ac:link-body");
+  const text = plainBody
+    ? textContent(plainBody)
+    : richBody
+      ? renderInlineChildren(richBody.children, ctx).trim()
+      : "";
+  const hash = anchor ? `#${slugifyAnchor(anchor)}` : "";
+
+  if (!resource) {
+    return anchor ? `[${text || anchor}](${hash})` : text;
+  }
+  if (resource.name !== "ri:page") {
+    return text || resource.attrs["ri:filename"] || resource.attrs["ri:content-title"] || "";
+  }
+  const title = resource.attrs["ri:content-title"] || "";
+  const spaceKey = resource.attrs["ri:space-key"] || ctx.options.spaceKey || "";
+  return `[${text || title}](${buildDisplayUrl(ctx.options.baseUrl, spaceKey, title)}${hash})`;
+}
+
+const INLINE_HANDLERS = {
+  strong: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "**"),
+  b: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "**"),
+  em: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "*"),
+  i: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "*"),
+  s: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "~~"),
+  del: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "~~"),
+  strike: (node, ctx) => wrapInline(renderInlineChildren(node.children, ctx), "~~"),
+  code: renderInlineCode,
+  a: renderAnchor,
+  img: (node) => `![${node.attrs.alt || "image"}](${node.attrs.src || ""})`,
+  br: (node, ctx) => (ctx.inTable ? "<br>" : "\n"),
+  // 日期（如任务的截止日期）
+  time: (node, ctx) =>
+    node.attrs.datetime ? `📅 ${node.attrs.datetime}` : renderInlineChildren(node.children, ctx),
+  "ac:link": renderConfluenceLink,
+  "ac:image": renderImage,
+  "ac:emoticon": (node) => emoticonToEmoji(node.attrs),
+  "ac:inline-comment-marker": renderCommentMarker,
+  "ac:structured-macro": renderInlineMacro,
+};
+
+// ==================== 工具函数 ====================
+
+/**
+ * 除第一行外的每行缩进 width 个空格（空行不缩进）
+ */
+function indentContinuation(text, width) {
+  const pad = " ".repeat(width);
+  return text
+    .split("\n")
+    .map((l, i) => (i === 0 || !l ? l : pad + l))
+    .join("\n");
+}
+
+/**
+ * 每行加上前缀（空行只加前缀本身）
+ */
+function prefixLines(text, prefix) {
+  return text
+    .split("\n")
+    .map((l) => (l ? `${prefix} ${l}` : prefix))
+    .join("\n");
+}
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * 将锚点名转为 Markdown 标题锚点（与 GitHub 生成规则一致）
+ */
+function slugifyAnchor(anchor) {
+  return anchor
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+/**
+ * 构造 KB 页面的 /display/ 链接（括号也编码，避免截断 Markdown 链接）
+ */
+function buildDisplayUrl(baseUrl, spaceKey, title) {
+  const encodedTitle = encodeURIComponent(title)
+    .replace(/%20/g, "+")
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29");
+  return `${baseUrl || ""}/display/${encodeURIComponent(spaceKey)}/${encodedTitle}`;
+}
+
+/**
+ * 提及用户转为 [@显示名](kb-user://userkey)（显示名需先通过 loadUsers 解析）
+ * 无法得到 userkey 时只保留 @用户名 文本
+ * @param {object} attrs - ri:user 元素的属性
+ */
+function convertMention(attrs) {
+  const userKey = attrs["ri:userkey"];
+  const username = attrs["ri:username"];
+  const user = userKey ? getUser("userkey", userKey) : username ? getUser("username", username) : null;
+  const key = userKey || (user && user.userKey);
+  const name = (user && user.displayName) || userKey || username || "";
+  if (!key) return `@${name}`;
+  return `[@${name.replace(/([[\]])/g, "\\$1")}](${USER_LINK_PREFIX}${key})`;
 }
 
 /**
@@ -219,7 +665,10 @@ function collectImageRefs(html) {
   return refs;
 }
 
+
 module.exports = {
+  USER_LINK_PREFIX,
   htmlToMarkdown,
   collectImageRefs,
+  slugifyAnchor,
 };
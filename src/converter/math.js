@@ -0,0 +1,158 @@
+/**
+ * 数学公式 —— Confluence 数学宏与 Markdown 中的 $…$（行内）/ $$…$$（独立公式）互转
+ * 各 KB 安装的数学插件不同，宏名可通过 KB_MATH_INLINE_MACRO / KB_MATH_BLOCK_MACRO 环境变量指定
+ */
+const { escapeXml } = require("../utils");
+const { decodeEntities } = require("./xhtml");
+
+/**
+ * 当前使用的数学宏名
+ * @returns {{ inline: string, block: string }}
+ */
+function mathMacroNames() {
+  return {
+    inline: process.env.KB_MATH_INLINE_MACRO || "mathinline",
+    block: process.env.KB_MATH_BLOCK_MACRO || "mathblock",
+  };
+}
+
+/**
+ * 判断宏是否为数学宏
+ * @returns {"inline"|"block"|null}
+ */
+function mathMacroType(macroName) {
+  const names = mathMacroNames();
+  if (macroName === names.inline) return "inline";
+  if (macroName === names.block) return "block";
+  return null;
+}
+
+/**
+ * 数学宏转为 $…$ / $$…$$
+ * @param {string} type - inline 或 block
+ * @param {string} latex - 公式（宏的 body 参数或纯文本内容）
+ */
+function renderMath(type, latex) {
+  const formula = latex.trim();
+  if (!formula) return "";
+  return type === "inline" ? `$${formula}$` : `$$\n${formula}\n$$`;
+}
+
+/**
+ * 预处理 Markdown：将公式替换为占位符（代码块和行内代码中的除外），转换后由 restoreMathMacros 还原
+ * 独立公式为单独成行的 $$…$$（可跨行），替换为单独成块的占位注释；
+ * 行内公式为 $…$，替换为纯字母数字的占位符（以注释开头的行会被 marked 当作 HTML 块）。
+ * 开头的 $ 后和结尾的 $ 前不能是空白，结尾的 $ 后不能紧跟数字（避免把 $5 ~ $10 当作公式），\$ 为普通字符
+ * @param {Array<{ type: string, latex: string }>} formulas - 收集到的公式（按占位编号）
+ */
+function extractMath(md, formulas) {
+  const lines = md.split("\n");
+  const out = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence || fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+      out.push(line);
+      continue;
+    }
+
+    const blockMatch = line.match(/^(\s*)\$\$(.*)$/);
+    if (blockMatch) {
+      const [, indent, first] = blockMatch;
+      let end = i;
+      let body = [first];
+      if (/\$\$\s*$/.test(first)) {
+        body = [first.replace(/\$\$\s*$/, "")];
+      } else {
+        end = lines.findIndex((l, j) => j > i && /\$\$\s*$/.test(l));
+        if (end !== -1) body.push(...lines.slice(i + 1, end), lines[end].replace(/\$\$\s*$/, ""));
+      }
+      if (end !== -1) {
+        out.push("", `${indent}<!--KB_MATH_${formulas.length}-->`, "");
+        formulas.push({ type: "block", latex: body.map((l) => l.trim()).join("\n").trim() });
+        i = end;
+        continue;
+      }
+    }
+
+    out.push(extractInlineMath(line, formulas));
+  }
+  return out.join("\n");
+}
+
+/**
+ * 替换一行中的行内公式（跳过行内代码）
+ */
+function extractInlineMath(line, formulas) {
+  return line
+    .split(/(`+[^`]*?`+)/)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      return part.replace(/(^|[^\\$])\$(?!\s)((?:[^$\\]|\\.)+?)(?<!\s)\$(?![\d$])/g, (_, before, latex) => {
+        formulas.push({ type: "inline", latex });
+        return `${before}KBMATH${formulas.length - 1}KBMATH`;
+      });
+    })
+    .join("");
+}
+
+/**
+ * 替换 HTML 片段（pull 保留的 HTML 表格）文本中的公式为占位符，code / pre 中的除外
+ * 单元格内容已由 Markdown 渲染为 HTML，公式中的 <、& 等为实体，提取后解码
+ */
+function extractHtmlMath(html, formulas) {
+  let codeDepth = 0;
+  return html
+    .split(/(<[^>]+>)/)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        const tag = part.match(/^<(\/?)(code|pre)[\s>]/);
+        if (tag) codeDepth += tag[1] ? -1 : 1;
+        return part;
+      }
+      if (codeDepth > 0) return part;
+      const text = part.replace(/\$\$([\s\S]+?)\$\$/g, (_, latex) => {
+        formulas.push({ type: "block", latex: decodeEntities(latex).trim() });
+        return `<!--KB_MATH_${formulas.length - 1}-->`;
+      });
+      const start = formulas.length;
+      const result = extractInlineMath(text, formulas);
+      for (const formula of formulas.slice(start)) formula.latex = decodeEntities(formula.latex);
+      return result;
+    })
+    .join("");
+}
+
+/**
+ * 占位符还原为 Confluence 数学宏
+ * 行内公式写在 body 参数中，独立公式写在纯文本内容中
+ */
+function restoreMathMacros(html, formulas) {
+  const names = mathMacroNames();
+  return html
+    .replace(
+      /KBMATH(\d+)KBMATH/g,
+      (_, index) =>
+        `<ac:structured-macro ac:name="${names.inline}">` +
+        `<ac:parameter ac:name="body">${escapeXml(formulas[index].latex)}</ac:parameter>` +
+        `</ac:structured-macro>`
+    )
+    .replace(
+      /\s*<!--KB_MATH_(\d+)-->\s*/g,
+      (_, index) =>
+        `\n<ac:structured-macro ac:name="${names.block}">` +
+        `<ac:plain-text-body><![CDATA[${formulas[index].latex}]]></ac:plain-text-body>` +
+        `</ac:structured-macro>\n`
+    );
+}
+
+module.exports = {
+  mathMacroType,
+  renderMath,
+  extractMath,
+  extractHtmlMath,
+  restoreMathMacros,
+};
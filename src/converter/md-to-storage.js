@@ -4,6 +4,13 @@
  */
 const https = require("https");
 const http = require("http");
+const { restoreJiraLinks, buildJqlMacro } = require("../jira");
+const { extractAdmonitions, restoreAdmonitionMacros } = require("./admonitions");
+const { USER_LINK_PREFIX } = require("./html-to-md");
+const { parseFenceInfo } = require("./fence-info");
+const { convertEmoji } = require("./emoticons");
+const { extractMath, extractHtmlMath, restoreMathMacros } = require("./math");
+const { escapeXml } = require("../utils");
 
 let marked;
 
@@ -109,14 +116,28 @@ function httpPostBuffer(url, body, headers = {}) {
 /**
  * 将 Markdown 转换为 Confluence Storage Format
  * @param {string} mdContent - Markdown 内容（不含 frontmatter）
+ * @param {object} [options]
+ * @param {Array<object>} [options.jiraServers] - frontmatter 中的 jira 列表，用于还原 Jira 宏
  * @returns {{ html: string, mermaidImages: Array<{ filename: string, data: Buffer }> }}
  */
-async function markdownToConfluence(mdContent) {
+async function markdownToConfluence(mdContent, options = {}) {
   ensureMarked();
 
   const mermaidImages = [];
   let mermaidCounter = 0;
 
+  // Step 0: 预处理 - 提示块（> [!NOTE] 等）替换为占位注释，块内内容按普通 Markdown 转换
+  const admonitions = [];
+  mdContent = extractAdmonitions(mdContent, admonitions);
+
+  // Step 0.5: 预处理 - pull 保留下来的 HTML 表格（复杂表格）原样输出，不参与后续转换
+  const htmlTables = [];
+  mdContent = extractHtmlTables(mdContent, htmlTables);
+
+  // Step 0.6: 预处理 - 数学公式（$…$ / $$…$$）替换为占位符
+  const formulas = [];
+  mdContent = extractMath(mdContent, formulas);
+
   // Step 1: 预处理 - 提取 mermaid 代码块，用占位符替代
   const mermaidBlocks = {};
   mdContent = mdContent.replace(/```mermaid\n([\s\S]*?)```/g, (_, code) => {
@@ -126,6 +147,10 @@ async function markdownToConfluence(mdContent) {
     return `\`\`\`\n${key}\n\`\`\``;
   });
 
+  // Step 1.5: 预处理 - 记录代码块的信息串（marked 只保留第一个词作为语言），围栏改为 ```kbcode-N
+  const fenceInfos = [];
+  mdContent = extractFenceInfos(mdContent, fenceInfos);
+
   // Step 2: 预处理 - 替换 ## 目录 + 链接列表为占位符
   const lines = mdContent.split("\n");
   const outLines = [];
@@ -147,12 +172,35 @@ async function markdownToConfluence(mdContent) {
   // Step 3: 用 marked 转换为 HTML
   let html = marked.parse(mdContent);
 
+  // Step 3.5: 后处理 - 还原 Jira 宏（JQL 代码块、issue 链接）
+  const jiraServers = options.jiraServers || [];
+  html = html.replace(/<pre><code class="language-kbcode-(\d+)">([\s\S]*?)<\/code><\/pre>/g, (match, index, query) => {
+    const { language, params } = fenceInfos[index];
+    return language === "jql" ? buildJqlMacro(params, decodeHtml(query), jiraServers) : match;
+  });
+  html = restoreJiraLinks(html, jiraServers);
+
+  // Step 3.6: 后处理 - <details> 折叠块还原为 expand 宏（<summary> 为标题）
+  html = html.replace(
+    /<details[^>]*>\s*(?:<summary>([\s\S]*?)<\/summary>)?\s*/g,
+    (_, summary) => {
+      const title = summary ? summary.trim().replace(/&(?!#?\w+;)/g, "&amp;") : "";
+      const titleParam = title ? `<ac:parameter ac:name="title">${title}</ac:parameter>` : "";
+      return `<ac:structured-macro ac:name="expand">${titleParam}<ac:rich-text-body>`;
+    }
+  );
+  html = html.replace(/\s*<\/details>/g, "</ac:rich-text-body></ac:structured-macro>");
+
+  // Step 3.7: 后处理 - 复选框列表转为任务列表，提及用户链接还原为 ri:user 提及
+  html = convertTaskLists(html);
+  html = restoreUserMentions(html);
+
   // Step 4: 后处理 - 替换代码块为 Confluence 宏
-  // 处理带语言的代码块
+  // 处理带信息串的代码块
   html = await replaceAsync(
     html,
-    /<pre><code class="language-(\w+)">([\s\S]*?)<\/code><\/pre>/g,
-    async (match, lang, code) => {
+    /<pre><code class="language-kbcode-(\d+)">([\s\S]*?)<\/code><\/pre>/g,
+    async (match, index, code) => {
       // 检查是否是 mermaid 占位符
       for (const [key, mermaidCode] of Object.entries(mermaidBlocks)) {
         if (code.includes(key)) {
@@ -173,12 +221,8 @@ async function markdownToConfluence(mdContent) {
         }
       }
 
-      return (
-        `<ac:structured-macro ac:name="code">` +
-        `<ac:parameter ac:name="language">${lang}</ac:parameter>` +
-        `<ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body>` +
-        `</ac:structured-macro>`
-      );
+      const { language, params } = fenceInfos[index];
+      return buildCodeMacro(language ? [["language", language], ...params] : params, code);
     }
   );
 
@@ -207,12 +251,7 @@ async function markdownToConfluence(mdContent) {
         }
       }
 
-      return (
-        `<ac:structured-macro ac:name="code">` +
-        `<ac:parameter ac:name="language">text</ac:parameter>` +
-        `<ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body>` +
-        `</ac:structured-macro>`
-      );
+      return buildCodeMacro([], code);
     }
   );
 
@@ -260,14 +299,170 @@ async function markdownToConfluence(mdContent) {
     return `<blockquote>${processed}</blockquote>`;
   });
 
-  // Step 8: 移除 Confluence 不支持的 emoji 和补充平面字符
+  // Step 7.6: 日期（📅 YYYY-MM-DD）还原为 <time>，代码块内的保持原样
+  html = html.replace(/<!\[CDATA\[[\s\S]*?\]\]>|📅\s*(\d{4}-\d{2}-\d{2})/gu, (match, date) =>
+    date ? `<time datetime="${date}" />` : match
+  );
+
+  // Step 9: 提示块占位注释替换为 Confluence 提示宏
+  html = restoreAdmonitionMacros(html, admonitions);
+
+  // Step 10: 还原 HTML 表格（表格中的 Jira issue 链接、提及用户链接同样还原为宏，公式替换为占位符）
+  html = html.replace(/<!--KB_HTML_TABLE_(\d+)-->/g, (_, id) =>
+    restoreUserMentions(restoreJiraLinks(extractHtmlMath(htmlTables[id], formulas), jiraServers))
+  );
+
+  // Step 10.5: 数学公式占位符替换为 Confluence 数学宏
+  html = restoreMathMacros(html, formulas);
+
+  // Step 11: emoji 转为 Confluence 表情，其余补充平面字符编码为字符引用
   // Confluence 对 4 字节 UTF-8 字符（U+10000 以上）会报 "Unsupported character" 错误
-  html = html.replace(/[\u{10000}-\u{1FFFF}]/gu, "");
-  html = html.replace(/[\u{2600}-\u{27BF}]/gu, "");
+  html = convertEmoji(html);
 
   return { html, mermaidImages };
 }
 
+/**
+ * 记录代码块围栏的信息串（语言 + 参数），围栏改为 ```kbcode-N 以便 marked 转换后找回
+ * @param {Array<{ language: string, params: Array<[string, string]> }>} infos - 按编号收集的信息串
+ */
+function extractFenceInfos(md, infos) {
+  let fence = null;
+  return md
+    .split("\n")
+    .map((line) => {
+      const fenceMatch = line.match(/^(\s*)(`{3,}|~{3,})(.*)$/);
+      if (!fenceMatch) return line;
+      const [, indent, marker, info] = fenceMatch;
+      if (fence) {
+        if (marker[0] === fence[0] && marker.length >= fence.length && !info.trim()) fence = null;
+        return line;
+      }
+      fence = marker;
+      if (!info.trim()) return line;
+      infos.push(parseFenceInfo(info));
+      return `${indent}${marker}kbcode-${infos.length - 1}`;
+    })
+    .join("\n");
+}
+
+/**
+ * 生成 code 宏（参数值做 XML 转义）
+ * @param {Array<[string, string]>} params - 宏参数
+ */
+function buildCodeMacro(params, code) {
+  const paramXml = params
+    .map(([name, value]) => `<ac:parameter ac:name="${escapeXml(name)}">${escapeXml(value)}</ac:parameter>`)
+    .join("");
+  return (
+    `<ac:structured-macro ac:name="code">` +
+    paramXml +
+    `<ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body>` +
+    `</ac:structured-macro>`
+  );
+}
+
+/**
+ * 提取以 <table 开头的 HTML 表格块（代码块内的除外），替换为占位注释
+ * @param {string[]} tables - 收集到的表格 HTML（按占位编号）
+ */
+function extractHtmlTables(md, tables) {
+  const lines = md.split("\n");
+  const out = [];
+  let fence = null;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence || fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+      out.push(line);
+      i++;
+      continue;
+    }
+    if (!/^<table[\s>]/i.test(line)) {
+      out.push(line);
+      i++;
+      continue;
+    }
+
+    // 按 <table> 嵌套层级找到对应的 </table>
+    const start = i;
+    let depth = 0;
+    do {
+      depth += (lines[i].match(/<table[\s>]/gi) || []).length;
+      depth -= (lines[i].match(/<\/table>/gi) || []).length;
+      i++;
+    } while (depth > 0 && i < lines.length);
+    const table = lines
+      .slice(start, i)
+      .join("\n")
+      .replace(/<(br|hr|img|input)([^>]*?)\s*\/?>/gi, "<$1$2 />");
+    out.push("", `<!--KB_HTML_TABLE_${tables.length}-->`, "");
+    tables.push(table);
+  }
+  return out.join("\n");
+}
+
+/**
+ * 将所有项都是复选框的 <ul> 转为 Confluence 任务列表
+ * 由内向外逐个处理不含嵌套列表的 <ul>，已处理的普通列表暂时改名，最后还原
+ */
+function convertTaskLists(html) {
+  const checkboxRegex = /^\s*(<p>)?\s*<input([^>]*)type="checkbox"([^>]*)>\s*/;
+  let taskId = 0;
+  let prev;
+  do {
+    prev = html;
+    html = html.replace(/<ul>((?:(?!<\/?ul>)[\s\S])*?)<\/ul>/, (_, inner) => {
+      const items = [];
+      const liRegex = /<li>([\s\S]*?)<\/li>/g;
+      let li;
+      while ((li = liRegex.exec(inner)) !== null) items.push(li[1]);
+      if (items.length === 0 || !items.every((item) => checkboxRegex.test(item))) {
+        return `<kb-ul>${inner.replace(/<(\/?)li>/g, "<$1kb-li>")}</kb-ul>`;
+      }
+      const tasks = items.map((item) => {
+        const m = item.match(checkboxRegex);
+        const status = /\bchecked\b/.test(m[2] + m[3]) ? "complete" : "incomplete";
+        // 去掉复选框，松散列表中第一个段落的 <p> 一并去掉
+        let body = item.substring(m[0].length);
+        if (m[1]) body = body.replace(/<\/p>/, "");
+        return (
+          `<ac:task><ac:task-id>${++taskId}</ac:task-id>` +
+          `<ac:task-status>${status}</ac:task-status>` +
+          `<ac:task-body>${body.trim()}</ac:task-body></ac:task>`
+        );
+      });
+      return `<ac:task-list>${tasks.join("")}</ac:task-list>`;
+    });
+  } while (html !== prev);
+  return html.replace(/<(\/?)kb-(ul|li)>/g, "<$1$2>");
+}
+
+/**
+ * 提及用户的链接（kb-user://userkey）还原为 ri:user 提及
+ */
+function restoreUserMentions(html) {
+  return html.replace(
+    new RegExp(`<a href="${USER_LINK_PREFIX}([^"]+)"[^>]*>[\\s\\S]*?<\\/a>`, "g"),
+    '<ac:link><ri:user ri:userkey="$1" /></ac:link>'
+  );
+}
+
+/**
+ * 解码 marked 输出中的 HTML 实体
+ */
+function decodeHtml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
 /**
  * 支持异步替换的 String.replace
  */
@@ -0,0 +1,118 @@
+/**
+ * Confluence storage format（XHTML，含 ac:/ri: 命名空间）解析器
+ * 将 HTML 文本解析为节点树，容忍未闭合、错位的标签
+ */
+const { NAMED_ENTITIES } = require("./entities");
+
+// 没有结束标签的 HTML 元素
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "hr", "img", "input", "link", "meta", "param", "source", "wbr"]);
+
+// 注释、CDATA、声明、结束标签、起始标签（含属性和自闭合）
+const TOKEN_REGEX =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>/=`]+))?)*)\s*(\/?)>/g;
+
+const ATTR_REGEX = /([\w:.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>/=`]+)))?/g;
+
+/**
+ * 解码 HTML 实体
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * 解析标签属性
+ */
+function parseAttrs(text) {
+  const attrs = {};
+  let m;
+  ATTR_REGEX.lastIndex = 0;
+  while ((m = ATTR_REGEX.exec(text)) !== null) {
+    const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : "";
+    attrs[m[1]] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * 解析 XHTML 为节点树
+ * 节点：{ type: "element", name, attrs, children } / { type: "text", value } / { type: "cdata", value }
+ * @returns {object} 根节点（type 为 "root"）
+ */
+function parseXhtml(html) {
+  const root = { type: "root", name: "", attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const addText = (text) => {
+    if (text) current().children.push({ type: "text", value: decodeEntities(text) });
+  };
+
+  let pos = 0;
+  let m;
+  TOKEN_REGEX.lastIndex = 0;
+  while ((m = TOKEN_REGEX.exec(html)) !== null) {
+    addText(html.substring(pos, m.index));
+    pos = TOKEN_REGEX.lastIndex;
+
+    if (m[1] !== undefined) {
+      current().children.push({ type: "cdata", value: m[1] });
+    } else if (m[2] !== undefined) {
+      // 结束标签：关闭最近的同名元素，找不到时忽略
+      const name = m[2].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (m[3] !== undefined) {
+      const name = m[3].toLowerCase();
+      const element = { type: "element", name, attrs: parseAttrs(m[4] || ""), children: [] };
+      current().children.push(element);
+      if (!m[5] && !VOID_ELEMENTS.has(name)) stack.push(element);
+    }
+    // 注释、声明、处理指令直接丢弃
+  }
+  addText(html.substring(pos));
+  return root;
+}
+
+/**
+ * 节点的纯文本内容（含 CDATA）
+ */
+function textContent(node) {
+  if (node.type === "text" || node.type === "cdata") return node.value;
+  return (node.children || []).map(textContent).join("");
+}
+
+/**
+ * 查找第一个指定名称的直接子元素
+ */
+function findChild(node, name) {
+  return (node.children || []).find((c) => c.type === "element" && c.name === name) || null;
+}
+
+/**
+ * 指定名称的所有直接子元素
+ */
+function childElements(node, name) {
+  return (node.children || []).filter((c) => c.type === "element" && (!name || c.name === name));
+}
+
+module.exports = {
+  decodeEntities,
+  parseXhtml,
+  textContent,
+  findChild,
+  childElements,
+};
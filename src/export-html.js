@@ -0,0 +1,344 @@
+/**
+ * 离线 HTML 导出 —— 将 pull 得到的 Markdown 目录渲染为无需服务器即可浏览的静态站点
+ * 侧边栏目录树与 INDEX.md 层级一致，搜索在浏览器本地完成
+ */
+const fs = require("fs");
+const path = require("path");
+const { listMarkdownFiles, formatDateTime } = require("./utils");
+const { parseFrontmatter } = require("./upload");
+const { slugifyAnchor } = require("./converter/html-to-md");
+
+const ASSETS_DIR = "assets";
+
+/**
+ * HTML 转义
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * 将 Markdown 文件的相对路径转为对应 HTML 文件的站点路径（统一使用 /）
+ */
+function toHtmlPath(relPath) {
+  return relPath.split(path.sep).join("/").replace(/\.md$/, ".html");
+}
+
+/**
+ * 解码链接中的 %20 等转义，失败时原样返回
+ */
+function safeDecode(link) {
+  try {
+    return decodeURIComponent(link);
+  } catch (e) {
+    return link;
+  }
+}
+
+/**
+ * 创建 Markdown 渲染器：标题带锚点 id（与 GitHub 规则一致），相对 .md 链接改为 .html
+ */
+function createRenderer() {
+  const { Marked } = require("marked");
+  let slugCounts = new Map();
+
+  const marked = new Marked({
+    renderer: {
+      heading({ tokens, depth, text }) {
+        const base = slugifyAnchor(text.replace(/[*_`~]|\[|\]\([^)]*\)/g, ""));
+        const count = slugCounts.get(base) || 0;
+        slugCounts.set(base, count + 1);
+        const id = count ? `${base}-${count}` : base;
+        return `<h${depth} id="${escapeHtml(id)}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+      },
+    },
+    walkTokens(token) {
+      if (token.type !== "link" || !token.href) return;
+      if (/^[a-z][a-z0-9+.-]*:/i.test(token.href) || token.href.startsWith("#")) return;
+      token.href = token.href.replace(/\.md(?=$|#)/, ".html");
+    },
+  });
+
+  return (markdown) => {
+    slugCounts = new Map();
+    return marked.parse(markdown);
+  };
+}
+
+/**
+ * 解析 INDEX.md：标题及目录树（跳过的页面不列出）
+ * @returns {{ title: string|null, tree: Array<{ title: string, href: string|null, depth: number }> }}
+ */
+function parseIndex(indexPath) {
+  const result = { title: null, tree: [] };
+  if (!fs.existsSync(indexPath)) return result;
+
+  for (const line of fs.readFileSync(indexPath, "utf-8").split("\n")) {
+    const titleMatch = line.match(/^# (.+?)(?: 文档目录)?$/);
+    if (titleMatch && !result.title) {
+      result.title = titleMatch[1];
+      continue;
+    }
+    const itemMatch = line.match(/^( *)- (.+)$/);
+    if (!itemMatch || itemMatch[2].startsWith("~~")) continue;
+    const depth = Math.floor(itemMatch[1].length / 2);
+    const linkMatch = itemMatch[2].match(/^\[(.*)\]\(([^)]*)\)$/);
+    result.tree.push(
+      linkMatch
+        ? { title: linkMatch[1], href: toHtmlPath(safeDecode(linkMatch[2])), depth }
+        : { title: itemMatch[2], href: null, depth }
+    );
+  }
+  return result;
+}
+
+/**
+ * 复制 Markdown 以外的文件（图片、附件等），跳过以 . 开头的目录
+ */
+function copyResources(srcDir, destDir, outRoot = destDir) {
+  let count = 0;
+  for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const src = path.join(srcDir, entry.name);
+    const dest = path.join(destDir, entry.name);
+    if (entry.isDirectory()) {
+      // 输出目录位于源目录内时不要复制自身
+      if (path.resolve(src) === path.resolve(outRoot)) continue;
+      count += copyResources(src, dest, outRoot);
+    } else if (entry.isFile() && !entry.name.endsWith(".md")) {
+      fs.mkdirSync(destDir, { recursive: true });
+      fs.copyFileSync(src, dest);
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * 去掉 HTML 标签，得到用于搜索的纯文本
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * 页面元数据行（作者、最后修改时间、版本）
+ */
+function renderMeta(metadata) {
+  const parts = [];
+  if (metadata.author) parts.push(`作者: ${escapeHtml(metadata.author)}`);
+  if (metadata.lastModified) parts.push(`最后修改: ${escapeHtml(metadata.lastModified)}`);
+  if (metadata.version) parts.push(`版本: v${escapeHtml(metadata.version)}`);
+  return parts.length > 0 ? `<p class="page-meta">${parts.join(" · ")}</p>\n` : "";
+}
+
+/**
+ * 生成单个页面的 HTML
+ */
+function renderPage({ title, siteTitle, content, htmlPath }) {
+  const depth = htmlPath.split("/").length - 1;
+  const root = "../".repeat(depth);
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(siteTitle)}</title>
+<link rel="stylesheet" href="${root}${ASSETS_DIR}/style.css">
+</head>
+<body>
+<aside id="sidebar">
+  <a class="site-title" href="${root}index.html">${escapeHtml(siteTitle)}</a>
+  <input id="search" type="search" placeholder="搜索文档..." autocomplete="off">
+  <ul id="search-results"></ul>
+  <nav id="tree"></nav>
+</aside>
+<main>
+<article>
+${content}
+</article>
+</main>
+<script>window.KB_ROOT = ${JSON.stringify(root)}; window.KB_PAGE = ${JSON.stringify(htmlPath)};</script>
+<script src="${root}${ASSETS_DIR}/data.js"></script>
+<script src="${root}${ASSETS_DIR}/site.js"></script>
+</body>
+</html>
+`;
+}
+
+const STYLE_CSS = `* { box-sizing: border-box; }
+body { margin: 0; display: flex; font: 15px/1.6 -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #172b4d; }
+#sidebar { position: sticky; top: 0; width: 300px; height: 100vh; overflow-y: auto; flex-shrink: 0; padding: 16px; background: #f4f5f7; border-right: 1px solid #dfe1e6; }
+.site-title { display: block; margin-bottom: 12px; font-weight: 600; font-size: 16px; color: #172b4d; text-decoration: none; }
+#search { width: 100%; padding: 6px 8px; border: 1px solid #c1c7d0; border-radius: 4px; font-size: 14px; }
+#search-results { list-style: none; margin: 8px 0; padding: 0; }
+#search-results li { margin-bottom: 8px; }
+#search-results .snippet { display: block; font-size: 12px; color: #5e6c84; }
+#tree ul { list-style: none; margin: 0; padding-left: 14px; }
+#tree > ul { padding-left: 0; }
+#tree li { margin: 2px 0; }
+#tree a { color: #42526e; text-decoration: none; }
+#tree a.current { color: #0052cc; font-weight: 600; }
+#tree .folder { color: #6b778c; }
+main { flex: 1; min-width: 0; padding: 24px 48px; }
+article { max-width: 960px; }
+.page-meta { color: #6b778c; font-size: 13px; }
+a { color: #0052cc; }
+img { max-width: 100%; }
+pre { padding: 12px; overflow-x: auto; background: #f4f5f7; border-radius: 4px; }
+code { font-family: Consolas, Menlo, monospace; font-size: 13px; }
+table { border-collapse: collapse; }
+th, td { padding: 6px 10px; border: 1px solid #dfe1e6; }
+th { background: #f4f5f7; }
+blockquote { margin: 0; padding-left: 12px; color: #5e6c84; border-left: 4px solid #dfe1e6; }
+`;
+
+const SITE_JS = `(function () {
+  var site = window.KB_SITE || { tree: [], pages: [] };
+  var root = window.KB_ROOT || "";
+  var current = window.KB_PAGE || "";
+
+  function el(tag, attrs, text) {
+    var node = document.createElement(tag);
+    for (var k in attrs) node.setAttribute(k, attrs[k]);
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  // 侧边栏目录树：按 depth 构建嵌套列表
+  var nav = document.getElementById("tree");
+  var stack = [{ depth: -1, list: el("ul", {}) }];
+  nav.appendChild(stack[0].list);
+  site.tree.forEach(function (item) {
+    while (stack.length > 1 && stack[stack.length - 1].depth >= item.depth) stack.pop();
+    var parent = stack[stack.length - 1];
+    var li = el("li", {});
+    if (item.href) {
+      var a = el("a", { href: root + encodeURI(item.href) }, item.title);
+      if (item.href === current) a.className = "current";
+      li.appendChild(a);
+    } else {
+      li.appendChild(el("span", { "class": "folder" }, item.title));
+    }
+    parent.list.appendChild(li);
+    var sub = el("ul", {});
+    li.appendChild(sub);
+    stack.push({ depth: item.depth, list: sub });
+  });
+  var currentLink = nav.querySelector("a.current");
+  if (currentLink) currentLink.scrollIntoView({ block: "center" });
+
+  // 本地搜索：标题和正文包含全部关键词即命中，标题命中优先
+  var input = document.getElementById("search");
+  var results = document.getElementById("search-results");
+  input.addEventListener("input", function () {
+    results.innerHTML = "";
+    var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    if (words.length === 0) return;
+    var matches = [];
+    site.pages.forEach(function (page) {
+      var title = page.title.toLowerCase();
+      var text = page.text.toLowerCase();
+      var ok = words.every(function (w) { return title.indexOf(w) !== -1 || text.indexOf(w) !== -1; });
+      if (!ok) return;
+      var score = words.filter(function (w) { return title.indexOf(w) !== -1; }).length;
+      matches.push({ page: page, score: score, pos: text.indexOf(words[0]) });
+    });
+    matches.sort(function (a, b) { return b.score - a.score; });
+    matches.slice(0, 30).forEach(function (m) {
+      var li = el("li", {});
+      li.appendChild(el("a", { href: root + encodeURI(m.page.href) }, m.page.title));
+      if (m.pos !== -1) {
+        var start = Math.max(0, m.pos - 30);
+        li.appendChild(el("span", { "class": "snippet" }, (start > 0 ? "…" : "") + m.page.text.substr(start, 90) + "…"));
+      }
+      results.appendChild(li);
+    });
+    if (matches.length === 0) results.appendChild(el("li", {}, "没有找到匹配的文档"));
+  });
+})();
+`;
+
+/**
+ * 导出静态 HTML 站点
+ * @param {string} sourceDir - pull 得到的文档目录（含 INDEX.md）
+ * @param {string} outDir - 输出目录
+ */
+async function exportHtml(sourceDir, outDir) {
+  if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+    throw new Error(`目录不存在: ${sourceDir}`);
+  }
+  const render = createRenderer();
+  const index = parseIndex(path.join(sourceDir, "INDEX.md"));
+  const siteTitle = index.title || path.basename(path.resolve(sourceDir));
+
+  console.log("========================================");
+  console.log(`开始导出【${siteTitle}】为静态 HTML 站点...`);
+  console.log("========================================\n");
+
+  fs.mkdirSync(path.join(outDir, ASSETS_DIR), { recursive: true });
+
+  const pages = [];
+  const files = listMarkdownFiles(sourceDir);
+  for (const filePath of files) {
+    const relPath = path.relative(sourceDir, filePath);
+    const isIndex = relPath === "INDEX.md";
+    const htmlPath = isIndex ? "index.html" : toHtmlPath(relPath);
+    const { metadata, body } = parseFrontmatter(fs.readFileSync(filePath, "utf-8"));
+    const title = isIndex ? siteTitle : metadata.title || path.basename(filePath, ".md");
+
+    const bodyHtml = render(body);
+    const content = (isIndex ? "" : renderMeta(metadata)) + bodyHtml;
+    const outPath = path.join(outDir, htmlPath);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, renderPage({ title, siteTitle, content, htmlPath }), "utf-8");
+
+    if (!isIndex) {
+      pages.push({ title, href: htmlPath, text: htmlToText(bodyHtml) });
+    }
+  }
+
+  // 没有 INDEX.md 时按文件路径平铺列出
+  const tree =
+    index.tree.length > 0
+      ? index.tree
+      : pages
+          .map((p) => ({ title: p.title, href: p.href, depth: 0 }))
+          .sort((a, b) => a.href.localeCompare(b.href));
+
+  const data = {
+    title: siteTitle,
+    generatedAt: formatDateTime(new Date().toISOString()),
+    tree,
+    pages,
+  };
+  fs.writeFileSync(
+    path.join(outDir, ASSETS_DIR, "data.js"),
+    `window.KB_SITE = ${JSON.stringify(data)};\n`,
+    "utf-8"
+  );
+  fs.writeFileSync(path.join(outDir, ASSETS_DIR, "style.css"), STYLE_CSS, "utf-8");
+  fs.writeFileSync(path.join(outDir, ASSETS_DIR, "site.js"), SITE_JS, "utf-8");
+
+  const resourceCount = copyResources(sourceDir, outDir);
+
+  console.log(`✅ 已生成 ${pages.length} 个页面，复制 ${resourceCount} 个图片和附件`);
+  console.log(`📁 用浏览器打开: ${path.join(outDir, "index.html")}\n`);
+}
+
+module.exports = {
+  exportHtml,
+};
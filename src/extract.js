@@ -3,16 +3,98 @@
  */
 const fs = require("fs");
 const path = require("path");
-const { sanitizeFilename, parallelLimit, downloadFile, formatDateTime } = require("./utils");
+const {
+  sanitizeFilename,
+  parallelLimit,
+  createTaskQueue,
+  downloadFile,
+  formatDateTime,
+  listMarkdownFiles,
+  matchGlob,
+} = require("./utils");
 const { getBaseUrl } = require("./auth");
-const { httpGet, apiGet } = require("./api");
+const { httpGet, apiGet, setRequestLimits } = require("./api");
+const { parseFrontmatter } = require("./upload");
+const {
+  hasManifest,
+  readManifest,
+  startManifest,
+  appendManifest,
+  finishManifest,
+} = require("./manifest");
+const { exportHistory } = require("./history");
+const { rewritePageLinks, updateMovedLinks } = require("./links");
+const { CHUNKS_FILE, DEFAULT_CHUNK_SIZE, exportChunks } = require("./chunks");
+const {
+  TRASH_DIR,
+  isNameOf,
+  movePageFiles,
+  moveToTrash,
+  removeEmptyDirs,
+} = require("./relocate");
 const { htmlToMarkdown, collectImageRefs } = require("./converter/html-to-md");
+const { getComments, assignInlineFootnotes, renderComments } = require("./comments");
+const { loadJiraServers, collectJiraServers } = require("./jira");
+const { loadUsers } = require("./users");
 
 const CONCURRENCY = 5;
 
 let visited = new Set();
 let docIndex = [];
 
+// 页面爬取队列（所有页面共享，限制同时处理的页面数）
+let crawlQueue = null;
+
+// 增量同步状态：本地已有页面（pageId → { filePath, version }）及本次统计
+let localPages = new Map();
+let pullStats = { unchanged: 0, updated: 0, added: 0, resumed: 0, moved: 0 };
+let forceFull = false;
+
+// 本次已分配给页面的文件、目录路径（内存中占位，中断时不会在磁盘上留下空文件）
+let claimedPaths = new Set();
+
+// 本次提取时获取的最新版本元数据（pageId → 版本信息），导出历史时不再重复获取
+let latestVersions = new Map();
+
+// 本次被移动的本地文件（旧路径 → 新路径）、移动后重新生成内容的文件、移动后可能留空的目录
+let pageMoves = new Map();
+let regeneratedFiles = new Set();
+let vacatedDirs = [];
+
+// 续传：上次中断前已完成的页面记录（pageId → manifest 记录）
+let resumeRecords = new Map();
+
+// 爬取筛选条件
+let crawlFilters = { maxDepth: null, include: [], exclude: [], labels: [], excludeLabels: [] };
+
+// 评论提取方式：null 不提取，"section" 写入文末评论区，"file" 写入同名 .comments.md
+let commentsMode = null;
+
+// 本次提取的内容类型："page" 页面树，"blogpost" 博客文章，null 不限（本地扫描时只认同类型的文件）
+let contentType = "page";
+
+// 平铺提取（博客文章、CQL 查询结果）：只提取列出的页面，不递归子页面
+let flatMode = false;
+
+// 整个空间提取时，顶层页面与普通子页面一样按需建目录，而不是直接放在输出根目录
+let spaceMode = false;
+
+/**
+ * 从页面列表接口结果中提取 { id, title, version, labels }
+ */
+function toPageSummary(p) {
+  const labels =
+    p.metadata && p.metadata.labels && p.metadata.labels.results
+      ? p.metadata.labels.results.map((l) => l.name)
+      : [];
+  return {
+    title: p.title,
+    id: p.id,
+    version: p.version ? p.version.number : null,
+    labels,
+  };
+}
+
 /**
  * 获取某个页面的所有直接子页面（支持分页）
  */
@@ -23,11 +105,11 @@ async function getChildPages(pageId) {
   while (true) {
     try {
       const data = await apiGet(
-        `/rest/api/content/${pageId}/child/page?limit=${limit}&start=${start}&expand=title`
+        `/rest/api/content/${pageId}/child/page?limit=${limit}&start=${start}&expand=version,metadata.labels`
       );
       const results = data.results || [];
       for (const p of results) {
-        all.push({ title: p.title, id: p.id });
+        all.push(toPageSummary(p));
       }
       if (results.length < limit) break;
       start += limit;
@@ -41,25 +123,38 @@ async function getChildPages(pageId) {
 
 /**
  * 获取页面内容（含 spaceKey 和 version，用于 frontmatter）
+ * @param {number|null} version - 指定历史版本号，为空时获取当前版本
  */
-async function getPageContent(pageId) {
+async function getPageContent(pageId, version = null) {
   try {
+    const versionQuery = version ? `status=historical&version=${version}&` : "";
     const data = await apiGet(
-      `/rest/api/content/${pageId}?expand=body.storage,version,space,history.createdBy`
+      `/rest/api/content/${pageId}?${versionQuery}expand=body.storage,version,space,history.createdBy,ancestors,metadata.labels`
     );
+    const versionBy = data.version && data.version.by ? data.version.by : {};
+    const ancestors = (data.ancestors || []).map((a) => ({ id: String(a.id), title: a.title }));
     return {
       title: data.title || "未知标题",
+      type: data.type || "page",
       htmlBody: data.body && data.body.storage ? data.body.storage.value : "",
       author:
         data.history && data.history.createdBy
           ? data.history.createdBy.displayName
           : "",
+      createdAt: data.history ? data.history.createdDate || "" : "",
       lastModified: data.version ? data.version.when : "",
       version: data.version ? data.version.number : 1,
+      versionMessage: data.version ? data.version.message || "" : "",
+      modifier: versionBy.displayName || "",
+      modifierUsername: versionBy.username || "",
       spaceKey: data.space ? data.space.key : "",
+      status: data.status || "current",
+      ancestors,
+      parentId: ancestors.length > 0 ? ancestors[ancestors.length - 1].id : "",
+      labels: toPageSummary(data).labels,
     };
   } catch (e) {
-    console.warn(`  ⚠️ API 获取页面内容失败 (pageId=${pageId}): ${e.message}`);
+    console.warn(`  ⚠️ API 获取页面内容失败 (pageId=${pageId}${version ? `, v${version}` : ""}): ${e.message}`);
     return null;
   }
 }
@@ -104,70 +199,503 @@ function buildFrontmatter(pageId, pageData) {
     `pageId: "${pageId}"`,
     `spaceKey: "${pageData.spaceKey}"`,
     `sourceUrl: "${baseUrl}/pages/viewpage.action?pageId=${pageId}"`,
-    `title: "${pageData.title.replace(/"/g, '\\"')}"`,
-    `author: "${(pageData.author || '').replace(/"/g, '\\"')}"`,
+    `title: ${yamlString(pageData.title)}`,
+    `type: "${pageData.type || "page"}"`,
+    `status: "${pageData.status || "current"}"`,
+    `parentId: "${pageData.parentId || ""}"`,
+  ];
+
+  const ancestors = pageData.ancestors || [];
+  if (ancestors.length === 0) {
+    lines.push("ancestors: []");
+  } else {
+    lines.push("ancestors:");
+    for (const a of ancestors) {
+      lines.push(`  - id: "${a.id}"`, `    title: ${yamlString(a.title)}`);
+    }
+  }
+
+  const labels = pageData.labels || [];
+  if (labels.length === 0) {
+    lines.push("labels: []");
+  } else {
+    lines.push("labels:", ...labels.map((l) => `  - ${yamlString(l)}`));
+  }
+
+  // 页面引用的 Jira 服务器，push 时据此还原 Jira 宏
+  const jiraServers = collectJiraServers(pageData.htmlBody || "");
+  if (jiraServers.length > 0) {
+    lines.push("jira:");
+    for (const j of jiraServers) {
+      lines.push(
+        `  - serverId: ${yamlString(j.serverId)}`,
+        `    server: ${yamlString(j.server)}`,
+        `    url: ${yamlString(j.url)}`
+      );
+    }
+  }
+
+  lines.push(
+    `author: ${yamlString(pageData.author)}`,
+    `createdAt: "${formatDateTime(pageData.createdAt)}"`,
     `lastModified: "${formatDateTime(pageData.lastModified)}"`,
+    "lastModifier:",
+    `  name: ${yamlString(pageData.modifier)}`,
+    `  username: ${yamlString(pageData.modifierUsername)}`,
     `version: ${pageData.version}`,
     `extractedAt: "${formatDateTime(new Date().toISOString())}"`,
     "---",
-    "",
-  ];
+    ""
+  );
   return lines.join("\n");
 }
 
 /**
- * 递归爬取页面及其子页面
+ * 转为 YAML 双引号字符串
  */
-async function crawlPage(pageId, depth = 0, parentPath = "", outputBase = "") {
-  if (visited.has(pageId)) return;
-  visited.add(pageId);
+function yamlString(value) {
+  return `"${String(value || "").replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * 扫描输出目录中已提取的 Markdown，按 frontmatter 中的 pageId 建立索引
+ */
+function scanLocalPages(outputBase) {
+  const pages = new Map();
+  for (const filePath of listMarkdownFiles(outputBase)) {
+    if (path.basename(filePath) === "INDEX.md") continue;
+    try {
+      const { metadata } = parseFrontmatter(fs.readFileSync(filePath, "utf-8"));
+      if (!metadata.pageId) continue;
+      if (contentType && (metadata.type || "page") !== contentType) continue;
+      pages.set(String(metadata.pageId), {
+        filePath,
+        version: parseInt(metadata.version, 10) || 0,
+        ancestors: Array.isArray(metadata.ancestors) ? metadata.ancestors : [],
+      });
+    } catch (e) {
+      // 无法解析的文件视为非本工具生成，忽略
+    }
+  }
+  return pages;
+}
+
+/**
+ * 单页提取的根页面直接写入输出根目录
+ */
+function isRootInPlace(depth) {
+  return depth === 0 && !spaceMode;
+}
+
+/**
+ * 判断本地文件的位置和文件名是否与页面在树中的位置、当前标题一致
+ * 有子页面的页面独占一个目录，其余页面直接放在父目录下
+ */
+function isLocalPathCurrent(localFile, title, depth, parentPath, hasChildren) {
+  const fileDir = path.dirname(localFile);
+  const name = sanitizeFilename(title);
+  if (isRootInPlace(depth) || !hasChildren) {
+    return fileDir === parentPath && isNameOf(path.basename(localFile, ".md"), name);
+  }
+  return (
+    path.dirname(fileDir) === parentPath &&
+    isNameOf(path.basename(fileDir), name) &&
+    path.basename(localFile) === `${name}.md`
+  );
+}
 
+/**
+ * 判断本地 frontmatter 中的祖先页面链与页面当前所在位置是否一致（id 和标题都相同）
+ */
+function isAncestorChainCurrent(localAncestors, ancestors) {
+  return (
+    localAncestors.length === ancestors.length &&
+    localAncestors.every((a, i) => String(a.id) === ancestors[i].id && a.title === ancestors[i].title)
+  );
+}
+
+/**
+ * 返回页面被排除的原因，未被排除时返回 null
+ */
+function getExcludeReason(page) {
+  const pattern = crawlFilters.exclude.find((p) => matchGlob(p, page.title));
+  if (pattern) return `标题匹配排除规则 "${pattern}"`;
+  const label = (page.labels || []).find((l) => crawlFilters.excludeLabels.includes(l));
+  if (label) return `含排除标签 "${label}"`;
+  return null;
+}
+
+/**
+ * 判断页面是否命中包含条件（标题规则和标签各自满足其一即可；未设置时全部命中）
+ */
+function isPageSelected(page) {
+  const { include, labels } = crawlFilters;
+  const titleOk = include.length === 0 || include.some((p) => matchGlob(p, page.title));
+  const labelOk = labels.length === 0 || (page.labels || []).some((l) => labels.includes(l));
+  return titleOk && labelOk;
+}
+
+/**
+ * 判断该深度是否超出 --depth 限制
+ */
+function isBeyondMaxDepth(depth) {
+  return crawlFilters.maxDepth !== null && depth > crawlFilters.maxDepth;
+}
+
+/**
+ * 按目录树顺序比较两个页面的排序键（兄弟序号组成的数组）
+ */
+function compareTreeOrder(a, b) {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+/**
+ * 创建一个可在外部 resolve 的 Promise
+ */
+function createDeferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+/**
+ * 将同一目录下的一组页面加入爬取队列，跳过被排除的页面及其子树
+ * 同目录的页面按顺序依次确定文件名，保证重名时的 _1、_2 后缀与抓取完成顺序无关
+ * @param {boolean} parentSelected - 祖先页面已命中包含条件时，子树全部提取
+ * @param {number[]} parentOrder - 父页面在目录树中的排序键
+ * @param {Array<{ id: string, title: string }>|null} [ancestors] - 这组页面的祖先页面链，未知时为 null
+ */
+function enqueuePageList(pages, depth, parentPath, outputBase, parentSelected, parentOrder, ancestors = null) {
   const baseUrl = getBaseUrl();
   const indent = "  ".repeat(depth);
-  console.log(`${indent}📄 正在提取 [pageId=${pageId}]`);
+  let prevClaim = Promise.resolve();
+  pages.forEach((page, i) => {
+    const order = parentOrder.concat(i);
+    const reason = getExcludeReason(page);
+    if (reason) {
+      console.log(`${indent}⏭️  跳过 [pageId=${page.id}] ${page.title}：${reason}`);
+      visited.add(page.id);
+      docIndex.push({
+        title: page.title,
+        depth,
+        filePath: null,
+        url: `${baseUrl}/pages/viewpage.action?pageId=${page.id}`,
+        skipped: reason,
+        order,
+      });
+      return;
+    }
+    const claim = createDeferred();
+    const task = {
+      pageId: page.id,
+      depth,
+      parentPath,
+      outputBase,
+      summary: page,
+      selected: parentSelected || isPageSelected(page),
+      order,
+      ancestors,
+      waitTurn: prevClaim,
+      claimed: claim.resolve,
+    };
+    prevClaim = claim.promise;
+    crawlQueue.push(() => crawlPage(task));
+  });
+}
 
-  const pageData = await getPageContent(pageId);
-  if (!pageData || !pageData.title || pageData.title === "未知标题") {
-    console.warn(`${indent}   ⚠️ 获取页面内容失败，跳过`);
+/**
+ * 将子页面加入爬取队列
+ */
+function enqueueChildren(childPages, depth, pageDir, outputBase, selected, order, ancestors = null) {
+  if (childPages.length === 0) return;
+  const indent = "  ".repeat(depth);
+  if (isBeyondMaxDepth(depth + 1)) {
+    console.log(`${indent}   ⏭️  超过最大深度，跳过 ${childPages.length} 个子页面`);
+    docIndex.push({
+      title: `${childPages.length} 个子页面`,
+      depth: depth + 1,
+      filePath: null,
+      skipped: `超过最大深度 ${crawlFilters.maxDepth}`,
+      order: order.concat(0),
+    });
     return;
   }
+  console.log(`${indent}   📂 发现 ${childPages.length} 个子页面`);
+  enqueuePageList(childPages, depth + 1, pageDir, outputBase, selected, order, ancestors);
+}
 
-  console.log(`${indent}   标题: ${pageData.title}`);
-
-  const childPages = await getChildPages(pageId);
-  const hasChildren = childPages.length > 0;
+/**
+ * 页面处理完成：写入目录索引、记录进度，然后将子页面加入队列
+ * @param {object|null} doc - 目录索引条目，为 null 时不出现在索引中
+ * @param {Array<{ id: string, title: string }>|null} [childAncestors] - 子页面的祖先页面链，未知时为 null
+ */
+function completePage(task, doc, pageDir, childPages, childrenSelected, childAncestors = null) {
+  const { pageId, depth, outputBase, order } = task;
+  if (doc) docIndex.push({ ...doc, pageId, order });
+  appendManifest({
+    pageId,
+    doc,
+    pageDir: path.relative(outputBase, pageDir),
+    children: childPages,
+    childrenSelected,
+  });
+  enqueueChildren(childPages, depth, pageDir, outputBase, childrenSelected, order, childAncestors);
+}
 
-  const pageDirName = sanitizeFilename(pageData.title);
+/**
+ * 读取 Markdown 文件 frontmatter 中的 pageId（无法读取或没有时返回 null）
+ */
+function readPageId(filePath) {
+  try {
+    const { metadata } = parseFrontmatter(fs.readFileSync(filePath, "utf-8"));
+    return metadata.pageId ? String(metadata.pageId) : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-  let pageDir, filePath;
-  const base = outputBase || parentPath;
-  const resourceDir = base;
+/**
+ * 判断路径是否已被占用：本次已分配给其他页面，或磁盘上已有不属于该页面的内容
+ * （不在本次提取范围内的页面、非本工具生成的文件）。
+ * 旧版本中断后留下的空占位文件、空目录视为未占用；目录中的同名页面文件属于该页面时可以沿用
+ * @param {string} target - 文件或目录路径
+ * @param {string} pageFileName - 目录中页面文件的文件名（target 为目录时使用）
+ */
+function isPathTaken(target, pageId, pageFileName) {
+  if (claimedPaths.has(target)) return true;
+  if (!fs.existsSync(target)) return false;
+  const stat = fs.statSync(target);
+  if (stat.isDirectory()) {
+    if (fs.readdirSync(target).length === 0) return false;
+    return readPageId(path.join(target, pageFileName)) !== String(pageId);
+  }
+  return stat.size > 0 && readPageId(target) !== String(pageId);
+}
 
-  if (depth === 0) {
-    pageDir = parentPath;
-    filePath = path.join(pageDir, `${pageDirName}.md`);
-  } else if (hasChildren) {
+/**
+ * 在父目录下为页面确定不重名的文件路径
+ * 有子页面的页面独占一个目录，其余页面直接放在父目录下；
+ * 名称已被本次其他页面或磁盘上的其他页面、文件占用时加 _1、_2 后缀
+ */
+function claimPagePath(pageId, title, depth, parentPath, hasChildren) {
+  const pageDirName = sanitizeFilename(title);
+  if (hasChildren && !isRootInPlace(depth)) {
     let dirName = pageDirName;
     let counter = 1;
-    while (fs.existsSync(path.join(parentPath, dirName))) {
+    while (isPathTaken(path.join(parentPath, dirName), pageId, `${pageDirName}.md`)) {
       dirName = `${pageDirName}_${counter++}`;
     }
-    pageDir = path.join(parentPath, dirName);
-    filePath = path.join(pageDir, `${pageDirName}.md`);
+    const pageDir = path.join(parentPath, dirName);
+    claimedPaths.add(pageDir);
+    return { pageDir, filePath: path.join(pageDir, `${pageDirName}.md`) };
+  }
+  let mdName = `${pageDirName}.md`;
+  let counter = 1;
+  while (isPathTaken(path.join(parentPath, mdName), pageId)) {
+    mdName = `${pageDirName}_${counter++}.md`;
+  }
+  claimedPaths.add(path.join(parentPath, mdName));
+  return { pageDir: parentPath, filePath: path.join(parentPath, mdName) };
+}
+
+/**
+ * 为未命中包含条件、只保留目录层级的页面确定目录（目录中没有该页面的文件）
+ * 名称已被本次其他页面、磁盘上其他页面的目录或文件占用时加 _1、_2 后缀
+ */
+function claimFolderPath(pageId, title, parentPath) {
+  const pageDirName = sanitizeFilename(title);
+  let dirName = pageDirName;
+  let counter = 1;
+  for (;;) {
+    const target = path.join(parentPath, dirName);
+    const taken =
+      claimedPaths.has(target) ||
+      (fs.existsSync(target) &&
+        (!fs.statSync(target).isDirectory() ||
+          ![null, String(pageId)].includes(readPageId(path.join(target, `${pageDirName}.md`)))));
+    if (!taken) break;
+    dirName = `${pageDirName}_${counter++}`;
+  }
+  const pageDir = path.join(parentPath, dirName);
+  claimedPaths.add(pageDir);
+  return pageDir;
+}
+
+/**
+ * 爬取队列中的单个页面
+ * @param {object} task - 页面任务
+ * @param {string} task.pageId
+ * @param {number} task.depth - 深度（起始页面为 0）
+ * @param {string} task.parentPath - 父目录
+ * @param {string} task.outputBase - 输出根目录（图片、附件目录所在位置）
+ * @param {object|null} task.summary - 父页面列表中已获取的 { title, version, labels }，用于增量判断
+ * @param {boolean} task.selected - 是否命中包含条件；未命中的页面不写入文件，只继续查找其子页面
+ * @param {number[]} task.order - 在目录树中的排序键
+ * @param {Array<{ id: string, title: string }>|null} task.ancestors - 页面在树中的祖先页面链，未知时为 null
+ * @param {Promise} task.waitTurn - 前一个同级页面确定文件名后 resolve
+ * @param {Function} task.claimed - 本页面确定文件名后调用
+ */
+async function crawlPage(task) {
+  try {
+    await processPage(task);
+  } finally {
+    task.claimed();
+  }
+}
+
+/**
+ * 处理单个页面：增量判断、写入 Markdown、记录进度并将子页面加入队列
+ */
+async function processPage(task) {
+  const { pageId, depth, parentPath, outputBase, summary, selected, ancestors } = task;
+  if (visited.has(pageId)) return;
+  visited.add(pageId);
+
+  const baseUrl = getBaseUrl();
+  const indent = "  ".repeat(depth);
+  const local = localPages.get(String(pageId));
+
+  // 续传：上次已完成的页面直接沿用记录，不再请求 API
+  const resumed = resumeRecords.get(String(pageId));
+  if (resumed) {
+    if (resumed.doc) {
+      console.log(`${indent}⏯️  已完成 [pageId=${pageId}] ${resumed.doc.title}`);
+      pullStats.resumed++;
+      docIndex.push({ ...resumed.doc, pageId, order: task.order });
+    }
+    enqueueChildren(
+      resumed.children,
+      depth,
+      path.join(outputBase, resumed.pageDir),
+      outputBase,
+      resumed.childrenSelected,
+      task.order
+    );
+    return;
+  }
+
+  const childPages = flatMode ? [] : await getChildPages(pageId);
+  const hasChildren = childPages.length > 0 && !isBeyondMaxDepth(depth + 1);
+  // 起始页面总会被提取，但其子页面仍需按包含条件筛选
+  const childrenSelected = !isRootInPlace(depth) || isPageSelected(summary);
+
+  // 未命中包含条件：保留目录层级，继续在子页面中查找
+  if (!selected) {
+    if (!hasChildren) {
+      completePage(task, null, parentPath, [], false);
+      return;
+    }
+    let pageDir = parentPath;
+    if (!isRootInPlace(depth)) {
+      // 与被提取的页面一样按顺序分配，避免与同名的同级页面目录冲突
+      await task.waitTurn;
+      pageDir = claimFolderPath(pageId, summary.title, parentPath);
+    }
+    const doc = { title: summary.title, depth, filePath: null };
+    const childAncestors = ancestors && [...ancestors, { id: String(pageId), title: summary.title }];
+    completePage(task, doc, pageDir, childPages, false, childAncestors);
+    return;
+  }
+
+  // 页面被移动、重命名或祖先页面改名后，frontmatter 中的 parentId、ancestors 已过期，需重新生成
+  const relocated =
+    local &&
+    summary &&
+    (!isLocalPathCurrent(local.filePath, summary.title, depth, parentPath, hasChildren) ||
+      (ancestors && !isAncestorChainCurrent(local.ancestors, ancestors)));
+
+  // 增量：远程版本未升级且位置未变，跳过正文与附件
+  const unchanged =
+    !forceFull && local && summary && summary.version && local.version >= summary.version && !relocated;
+
+  let pageData = null;
+  if (!unchanged) {
+    console.log(`${indent}📄 正在提取 [pageId=${pageId}]`);
+    pageData = await getPageContent(pageId);
+    if (!pageData || !pageData.title || pageData.title === "未知标题") {
+      console.warn(`${indent}   ⚠️ 获取页面内容失败，跳过`);
+      return;
+    }
+    console.log(`${indent}   标题: ${pageData.title}`);
+    latestVersions.set(String(pageId), toHistoryVersion(pageData, null));
+  }
+  const title = pageData ? pageData.title : summary.title;
+
+  let pageDir, filePath;
+  if (local && isLocalPathCurrent(local.filePath, title, depth, parentPath, hasChildren)) {
+    // 已提取过的页面沿用原有路径
+    filePath = local.filePath;
+    pageDir = path.dirname(filePath);
   } else {
-    let mdName = `${pageDirName}.md`;
-    let counter = 1;
-    while (fs.existsSync(path.join(parentPath, mdName))) {
-      mdName = `${pageDirName}_${counter++}.md`;
+    // 等前一个同级页面确定文件名后再确定本页面的，保证结果与并发完成顺序无关
+    await task.waitTurn;
+    ({ pageDir, filePath } = claimPagePath(pageId, title, depth, parentPath, hasChildren));
+    if (local) {
+      relocateLocalPage(local, filePath, outputBase, indent);
     }
-    pageDir = parentPath;
-    filePath = path.join(parentPath, mdName);
+  }
+
+  task.claimed();
+
+  const doc = {
+    title,
+    depth,
+    filePath: path.relative(outputBase, filePath),
+    url: `${baseUrl}/pages/viewpage.action?pageId=${pageId}`,
+  };
+
+  if (unchanged) {
+    console.log(`${indent}⏭️  未变更 [pageId=${pageId}] ${title} (v${summary.version})`);
+    pullStats.unchanged++;
+    const childAncestors = [...(ancestors || local.ancestors), { id: String(pageId), title }];
+    completePage(task, doc, pageDir, childPages, childrenSelected, childAncestors);
+    return;
   }
 
   if (!fs.existsSync(pageDir)) {
     fs.mkdirSync(pageDir, { recursive: true });
   }
+  await writePageFile(pageId, pageData, filePath, outputBase, indent);
 
+  pullStats[local ? "updated" : "added"]++;
+  const childAncestors = [...pageData.ancestors, { id: String(pageId), title }];
+  completePage(task, doc, pageDir, childPages, childrenSelected, childAncestors);
+}
+
+/**
+ * 页面被移动或重命名：将本地文件（独占目录时连同整个目录）移到新位置，
+ * 并同步更新本地页面索引中受影响的路径
+ */
+function relocateLocalPage(local, newFilePath, outputBase, indent) {
+  const oldFilePath = local.filePath;
+  const { moves, vacatedDir } = movePageFiles(oldFilePath, newFilePath, outputBase);
+  for (const [from, to] of moves) {
+    // 之前已移动过的文件保留最初的来源路径
+    const origin = [...pageMoves].find(([, dest]) => dest === from);
+    if (origin) pageMoves.delete(origin[0]);
+    pageMoves.set(origin ? origin[0] : from, to);
+  }
+  for (const entry of localPages.values()) {
+    if (moves.has(entry.filePath)) entry.filePath = moves.get(entry.filePath);
+  }
+  if (vacatedDir) vacatedDirs.push(vacatedDir);
+  pullStats.moved++;
+  console.log(
+    `${indent}🚚 已移动: ${path.relative(outputBase, oldFilePath)} → ${path.relative(outputBase, newFilePath)}`
+  );
+}
+
+/**
+ * 下载页面的图片和附件，将正文转为 Markdown 写入 filePath
+ * @param {string} resourceDir - 图片、附件目录所在的根目录
+ */
+async function writePageFile(pageId, pageData, filePath, resourceDir, indent) {
   const fileDir = path.dirname(filePath);
   const relToBase = path.relative(fileDir, resourceDir);
   const resPrefix = relToBase ? relToBase + "/" : "";
@@ -297,8 +825,49 @@ async function crawlPage(pageId, depth = 0, parentPath = "", outputBase = "") {
     }
   }
 
+  // 评论
+  const render = {};
+  if (commentsMode) {
+    const comments = await getComments(pageId);
+    await loadUsers(...comments.map((c) => c.html));
+    const sidecarPath = filePath.replace(/\.md$/, ".comments.md");
+    if (commentsMode === "file") {
+      // 评论写入单独文件时正文不加脚注引用，行内评论在评论文件中作为普通段落
+      const section = renderComments(comments, new Map());
+      if (section) {
+        fs.writeFileSync(sidecarPath, `# ${pageData.title} · 评论\n\n${section}`, "utf-8");
+      } else if (fs.existsSync(sidecarPath)) {
+        fs.unlinkSync(sidecarPath);
+      }
+    } else {
+      render.inlineComments = assignInlineFootnotes(pageData.htmlBody, comments);
+      render.comments = renderComments(comments, render.inlineComments);
+    }
+    if (comments.length > 0) {
+      console.log(`${indent}   💬 ${comments.length} 条评论`);
+    }
+  }
+
+  // 保存（先解析正文中提及的用户）
+  await loadUsers(pageData.htmlBody);
+  const mdContent = renderPageMarkdown(pageId, pageData, imgPathMap, render);
+  fs.writeFileSync(filePath, mdContent, "utf-8");
+  regeneratedFiles.add(filePath);
+  console.log(`${indent}   ✅ 已保存: ${path.relative(resourceDir, filePath)}`);
+}
+
+/**
+ * 将页面转为带 frontmatter 的 Markdown 文本
+ * @param {object} imgPathMap - 图片引用 → 本地相对路径
+ * @param {object} [render] - inlineComments: 行内评论脚注映射；comments: 追加到文末的评论区
+ */
+function renderPageMarkdown(pageId, pageData, imgPathMap, render = {}) {
   // HTML → Markdown
-  let mdBody = htmlToMarkdown(pageData.htmlBody);
+  let mdBody = htmlToMarkdown(pageData.htmlBody, {
+    inlineComments: render.inlineComments,
+    baseUrl: getBaseUrl(),
+    spaceKey: pageData.spaceKey,
+  });
 
   // 替换图片路径
   for (const [ref, localPath] of Object.entries(imgPathMap)) {
@@ -311,42 +880,96 @@ async function crawlPage(pageId, depth = 0, parentPath = "", outputBase = "") {
   mdContent += `# ${pageData.title}\n\n`;
   mdContent += `---\n\n`;
   mdContent += mdBody;
+  if (render.comments) {
+    mdContent += `\n\n${render.comments}`;
+  }
 
   mdContent += `\n`;
+  return mdContent;
+}
 
-  // 保存
-  fs.writeFileSync(filePath, mdContent, "utf-8");
-  console.log(`${indent}   ✅ 已保存: ${path.relative(base, filePath)}`);
-
-  docIndex.push({
+/**
+ * 页面数据转为供 exportHistory 提交的版本信息
+ */
+function toHistoryVersion(pageData, content) {
+  const host = new URL(getBaseUrl()).hostname;
+  return {
+    content,
     title: pageData.title,
-    depth,
-    filePath: path.relative(base, filePath),
-    url: `${baseUrl}/pages/viewpage.action?pageId=${pageId}`,
-  });
+    authorName: pageData.modifier || pageData.modifierUsername || "unknown",
+    authorEmail: `${pageData.modifierUsername || "unknown"}@${host}`,
+    when: pageData.lastModified,
+    message: pageData.versionMessage,
+  };
+}
+
+/**
+ * 加载页面的某个历史版本，转为 Markdown（图片引用指向本地已下载的图片）
+ * 最新版本的内容即本次写入的文件，只需版本信息，本次提取时已获取的不再重复获取
+ * @returns {Promise<object|null>} 供 exportHistory 提交的版本信息
+ */
+async function loadHistoricalVersion(page, number, isLatest, outputBase) {
+  if (isLatest) {
+    if (latestVersions.has(String(page.pageId))) return latestVersions.get(String(page.pageId));
+    const pageData = await getPageContent(page.pageId);
+    return pageData ? toHistoryVersion(pageData, null) : null;
+  }
+
+  const pageData = await getPageContent(page.pageId, number);
+  if (!pageData) return null;
 
-  // 递归处理子页面
-  if (hasChildren) {
-    console.log(`${indent}   📂 发现 ${childPages.length} 个子页面`);
-    for (const child of childPages) {
-      await crawlPage(child.id, depth + 1, pageDir, outputBase || parentPath);
+  const fileDir = path.dirname(page.filePath);
+  const relToBase = path.relative(fileDir, outputBase);
+  const resPrefix = relToBase ? relToBase + "/" : "";
+  const imgPathMap = {};
+  for (const ref of collectImageRefs(pageData.htmlBody)) {
+    const key = ref.type === "attachment" ? ref.filename : ref.url;
+    let fileName;
+    try {
+      fileName = sanitizeFilename(
+        ref.type === "attachment" ? ref.filename : path.basename(decodeURIComponent(ref.url.split("?")[0]))
+      );
+    } catch (_) {
+      continue;
+    }
+    if (fs.existsSync(path.join(outputBase, "images", String(page.pageId), fileName))) {
+      imgPathMap[key] = `${resPrefix}images/${page.pageId}/${fileName}`;
     }
   }
+
+  await loadUsers(pageData.htmlBody);
+  return toHistoryVersion(pageData, renderPageMarkdown(page.pageId, pageData, imgPathMap));
+}
+
+/**
+ * 统计实际写入文件的文档数（不含被跳过或仅作为层级保留的页面）
+ */
+function countExtractedDocs() {
+  return docIndex.filter((doc) => doc.filePath).length;
 }
 
 /**
  * 生成目录索引
+ * @param {string} [note] - 写在索引开头的附加说明（如 CQL 查询语句）
  */
-function generateIndex(rootTitle, outputBase) {
+function generateIndex(rootTitle, outputBase, note = "") {
   let indexContent = `# ${rootTitle} 文档目录\n\n`;
+  if (note) indexContent += `> ${note}\n`;
   indexContent += `> 提取时间: ${new Date().toLocaleString("zh-CN")}\n`;
-  indexContent += `> 文档总数: ${docIndex.length}\n\n`;
+  indexContent += `> 文档总数: ${countExtractedDocs()}\n\n`;
   indexContent += `---\n\n`;
 
   for (const doc of docIndex) {
     const indent = "  ".repeat(doc.depth);
-    const link = doc.filePath.replace(/ /g, "%20");
-    indexContent += `${indent}- [${doc.title}](${link})\n`;
+    if (doc.skipped) {
+      const title = doc.url ? `[${doc.title}](${doc.url})` : doc.title;
+      indexContent += `${indent}- ~~${title}~~（已跳过：${doc.skipped}）\n`;
+    } else if (!doc.filePath) {
+      indexContent += `${indent}- ${doc.title}\n`;
+    } else {
+      const link = doc.filePath.replace(/ /g, "%20");
+      indexContent += `${indent}- [${doc.title}](${link})\n`;
+    }
   }
 
   fs.writeFileSync(path.join(outputBase, "INDEX.md"), indexContent, "utf-8");
@@ -373,51 +996,254 @@ async function resolvePageId(spaceKey, title) {
 }
 
 /**
- * 通过 API 获取页面标题
+ * 通过 API 获取页面标题、当前版本号和标签
  */
-async function fetchPageTitle(pageId) {
+async function fetchPageSummary(pageId) {
   try {
-    const data = await apiGet(`/rest/api/content/${pageId}?expand=title`);
-    return data.title || null;
+    const data = await apiGet(`/rest/api/content/${pageId}?expand=version,metadata.labels`);
+    if (!data.title) return null;
+    return toPageSummary(data);
   } catch (e) {
     return null;
   }
 }
 
 /**
- * 提取一个 pageId 下的所有文档
- * @param {string} pageId
- * @param {boolean} skipConfirm - 是否跳过确认（CLI 模式下跳过）
+ * 判断页面在远程是否已被删除（不存在或已移入回收站）
+ * 网络等其他错误时视为未删除，避免误删本地文件
  */
-async function extractPage(pageId, skipConfirm = false) {
-  const { askQuestion } = require("./utils");
-  const OUTPUT_DIR = path.join(process.cwd(), "docs");
+async function isPageDeleted(pageId) {
+  try {
+    const data = await apiGet(`/rest/api/content/${pageId}?status=any`);
+    return data.status === "trashed";
+  } catch (e) {
+    return e.message === "HTTP 404";
+  }
+}
 
-  const title = await fetchPageTitle(pageId);
-  if (!title) {
-    console.log(`\n❌ 无法获取页面信息，请检查链接是否正确`);
-    return;
+/**
+ * 处理本次未爬取到的本地页面：远程已删除的移入 .trash，仍存在的（移出提取范围或被筛选掉）只列出
+ * @returns {Promise<{ trashed: Array<object>, outside: Array<object> }>}
+ */
+async function handleMissingPages(outputBase) {
+  const missing = [...localPages.entries()].filter(([id]) => !visited.has(id));
+  const trashed = [];
+  const outside = [];
+  const tasks = missing.map(([id, local]) => async () => {
+    const entry = { id, filePath: path.relative(outputBase, local.filePath) };
+    if (await isPageDeleted(id)) {
+      moveToTrash(outputBase, local.filePath, id);
+      vacatedDirs.push(path.dirname(local.filePath));
+      trashed.push(entry);
+    } else {
+      outside.push(entry);
+    }
+  });
+  await parallelLimit(tasks, CONCURRENCY);
+  const byPath = (a, b) => a.filePath.localeCompare(b.filePath);
+  return { trashed: trashed.sort(byPath), outside: outside.sort(byPath) };
+}
+
+/**
+ * 输出增量同步统计，并列出远程已删除或不在提取范围内的本地页面
+ */
+function reportPullStats(missingPages) {
+  const { trashed, outside } = missingPages;
+  console.log(
+    `📊 未变更 ${pullStats.unchanged} 篇，更新 ${pullStats.updated} 篇，` +
+    `新增 ${pullStats.added} 篇，移动 ${pullStats.moved} 篇，删除 ${trashed.length} 篇`
+  );
+  if (pullStats.resumed > 0) {
+    console.log(`   ⏯️  续传沿用上次已完成的 ${pullStats.resumed} 篇`);
+  }
+  for (const page of trashed) {
+    console.log(`   🗑️  远程已删除，已移入 ${TRASH_DIR} [pageId=${page.id}]: ${page.filePath}`);
   }
+  for (const page of outside) {
+    console.log(`   ⚠️  不在本次提取范围内，已保留 [pageId=${page.id}]: ${page.filePath}`);
+  }
+}
 
-  console.log(`📄 页面标题: ${title}\n`);
+/**
+ * 获取空间信息
+ */
+async function getSpaceInfo(spaceKey) {
+  try {
+    const data = await apiGet(`/rest/api/space/${encodeURIComponent(spaceKey)}`);
+    return { key: data.key || spaceKey, name: data.name || spaceKey };
+  } catch (e) {
+    console.warn(`⚠️ 获取空间信息失败 (spaceKey=${spaceKey}): ${e.message}`);
+    return null;
+  }
+}
 
-  if (!skipConfirm) {
-    const confirm = await askQuestion("确认提取该页面及其所有子页面？(Y/n): ");
-    if (confirm.toLowerCase() === "n") {
-      console.log("已取消。\n");
-      return;
+/**
+ * 获取空间的所有顶层页面（含首页及没有父页面的孤立页面，支持分页）
+ */
+async function getSpaceRootPages(spaceKey) {
+  const all = [];
+  let start = 0;
+  const limit = 200;
+  while (true) {
+    const data = await apiGet(
+      `/rest/api/space/${encodeURIComponent(spaceKey)}/content/page?depth=root&limit=${limit}&start=${start}&expand=version,metadata.labels`
+    );
+    const results = data.results || [];
+    for (const p of results) {
+      all.push(toPageSummary(p));
+    }
+    if (results.length < limit) break;
+    start += limit;
+  }
+  return all;
+}
+
+/**
+ * 获取空间的所有博客文章（支持分页），附带发布日期 postedAt（YYYY-MM-DD）
+ */
+async function getSpaceBlogPosts(spaceKey) {
+  const all = [];
+  let start = 0;
+  const limit = 200;
+  while (true) {
+    const data = await apiGet(
+      `/rest/api/space/${encodeURIComponent(spaceKey)}/content/blogpost?limit=${limit}&start=${start}&expand=version,history,metadata.labels`
+    );
+    const results = data.results || [];
+    for (const p of results) {
+      const createdDate = p.history ? p.history.createdDate : "";
+      all.push({ ...toPageSummary(p), postedAt: formatDateTime(createdDate).substring(0, 10) });
+    }
+    if (results.length < limit) break;
+    start += limit;
+  }
+  return all;
+}
+
+/**
+ * 按 CQL 查询页面和博客文章（支持分页，保持查询结果的顺序）
+ */
+async function searchByCql(cql) {
+  const all = [];
+  let start = 0;
+  const limit = 100;
+  while (true) {
+    const data = await apiGet(
+      `/rest/api/content/search?cql=${encodeURIComponent(cql)}&limit=${limit}&start=${start}&expand=version,metadata.labels`
+    );
+    const results = data.results || [];
+    for (const p of results) {
+      if (p.type === "page" || p.type === "blogpost") {
+        all.push(toPageSummary(p));
+      }
     }
+    if (results.length < limit) break;
+    start += limit;
   }
+  return all;
+}
 
-  // 重置状态
+/**
+ * 将博客文章按发布年份、月份分组（均按时间升序）
+ * @returns {Array<{ year: string, months: Array<{ month: string, posts: Array<object> }> }>}
+ */
+function groupBlogPosts(posts) {
+  const sorted = [...posts].sort(
+    (a, b) => a.postedAt.localeCompare(b.postedAt) || String(a.id).localeCompare(String(b.id))
+  );
+  const years = [];
+  for (const post of sorted) {
+    const [year, month] = post.postedAt.split("-");
+    let y = years[years.length - 1];
+    if (!y || y.year !== year) {
+      y = { year, months: [] };
+      years.push(y);
+    }
+    let m = y.months[y.months.length - 1];
+    if (!m || m.month !== month) {
+      m = { month, posts: [] };
+      y.months.push(m);
+    }
+    m.posts.push(post);
+  }
+  return years;
+}
+
+/**
+ * 确认提取（交互模式下）
+ */
+async function confirmExtract(prompt, skipConfirm) {
+  if (skipConfirm) return true;
+  const { askQuestion } = require("./utils");
+  const confirm = await askQuestion(prompt);
+  if (confirm.toLowerCase() === "n") {
+    console.log("已取消。\n");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 加载续传记录（仅当清单的提取目标与本次一致时）
+ */
+function loadResumeRecords(outputBase, target, resume) {
+  if (!resume) {
+    if (hasManifest(outputBase)) {
+      console.log("⚠️ 检测到上次未完成的提取进度，本次将重新开始（如需续传请加 --resume）\n");
+    }
+    return new Map();
+  }
+  const manifest = readManifest(outputBase);
+  if (manifest.target !== target || manifest.records.size === 0) {
+    console.log("⚠️ 未找到可续传的提取进度，将重新开始提取\n");
+    return new Map();
+  }
+  console.log(`⏯️  从上次中断处继续，已完成 ${manifest.records.size} 个页面\n`);
+  return manifest.records;
+}
+
+/**
+ * 执行一次提取：重置状态、扫描本地已有文档、爬取、生成索引并输出统计
+ * @param {string} title - 索引标题
+ * @param {string} outputBase - 输出目录
+ * @param {string} target - 提取目标标识（如 page:123、space:ITKB），用于续传校验
+ * @param {object} options - 同 extractPage 的 options
+ * @param {Function} crawl - 将起始页面加入爬取队列的函数
+ * @param {string} [indexNote] - 写在 INDEX.md 开头的附加说明
+ */
+async function runExtraction(title, outputBase, target, options, crawl, indexNote = "") {
   visited = new Set();
   docIndex = [];
+  pullStats = { unchanged: 0, updated: 0, added: 0, resumed: 0, moved: 0 };
+  pageMoves = new Map();
+  regeneratedFiles = new Set();
+  vacatedDirs = [];
+  claimedPaths = new Set();
+  latestVersions = new Map();
+  forceFull = !!options.force;
+  commentsMode = options.comments || null;
+  crawlFilters = {
+    maxDepth: Number.isInteger(options.depth) ? options.depth : null,
+    include: options.include || [],
+    exclude: options.exclude || [],
+    labels: options.labels || [],
+    excludeLabels: options.excludeLabels || [],
+  };
 
-  const sanitizedTitle = sanitizeFilename(title);
-  const outputBase = path.join(OUTPUT_DIR, sanitizedTitle);
   if (!fs.existsSync(outputBase)) {
     fs.mkdirSync(outputBase, { recursive: true });
   }
+  localPages = scanLocalPages(outputBase);
+  if (localPages.size > 0 && !forceFull) {
+    console.log(`🔄 发现 ${localPages.size} 篇已提取文档，仅更新远程版本有变化的页面\n`);
+  }
+  resumeRecords = loadResumeRecords(outputBase, target, options.resume);
+  startManifest(outputBase, target, resumeRecords.size > 0);
+
+  const concurrency = options.concurrency > 0 ? options.concurrency : CONCURRENCY;
+  setRequestLimits({ concurrency, rps: options.rps });
+  crawlQueue = createTaskQueue(concurrency);
+  await loadJiraServers();
 
   console.log("========================================");
   console.log(`开始递归提取【${title}】下所有文档...`);
@@ -426,18 +1252,260 @@ async function extractPage(pageId, skipConfirm = false) {
 
   const startTime = Date.now();
 
-  await crawlPage(pageId, 0, outputBase, outputBase);
+  crawl();
+  await crawlQueue.onIdle();
+  docIndex.sort((a, b) => compareTreeOrder(a.order, b.order));
 
-  generateIndex(title, outputBase);
+  const missingPages = await handleMissingPages(outputBase);
+  removeEmptyDirs(vacatedDirs, outputBase);
+  const movedLinkCount = updateMovedLinks(
+    docIndex.filter((doc) => doc.filePath).map((doc) => path.join(outputBase, doc.filePath)),
+    pageMoves,
+    regeneratedFiles
+  );
+  if (movedLinkCount > 0) {
+    console.log(`🚚 已修正 ${movedLinkCount} 个因页面移动而变化的相对链接`);
+  }
+
+  const linkCount = rewritePageLinks(
+    outputBase,
+    docIndex.filter((doc) => doc.filePath),
+    getBaseUrl(),
+    parseConfluenceUrl
+  );
+  if (linkCount > 0) {
+    console.log(`🔗 已将 ${linkCount} 个页面链接改写为相对路径`);
+  }
+
+  generateIndex(title, outputBase, indexNote);
+  finishManifest();
+
+  if (options.format === "jsonl") {
+    const chunkCount = exportChunks(
+      outputBase,
+      docIndex.filter((doc) => doc.filePath),
+      options.chunkSize > 0 ? options.chunkSize : DEFAULT_CHUNK_SIZE
+    );
+    console.log(
+      `🧩 已导出 ${chunkCount} 个文本块: ${path.relative(process.cwd(), path.join(outputBase, CHUNKS_FILE))}`
+    );
+  }
+
+  if (options.history) {
+    const pages = docIndex
+      .filter((doc) => doc.filePath)
+      .map((doc) => ({ pageId: doc.pageId, title: doc.title, filePath: path.join(outputBase, doc.filePath) }));
+    await exportHistory(outputBase, pages, (page, number, isLatest) =>
+      loadHistoricalVersion(page, number, isLatest, outputBase)
+    );
+  }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log("\n========================================");
-  console.log(`✅ 提取完成！共提取 ${docIndex.length} 篇文档`);
+  console.log(`✅ 提取完成！共提取 ${countExtractedDocs()} 篇文档`);
+  reportPullStats(missingPages);
   console.log(`⏱️  耗时: ${elapsed} 秒`);
   console.log(`📁 文档保存在: ${outputBase}`);
   console.log("========================================\n");
 }
 
+/**
+ * 提取一个 pageId 下的所有文档
+ * @param {string} pageId
+ * @param {boolean} skipConfirm - 是否跳过确认（CLI 模式下跳过）
+ * @param {object} options - 选项
+ * @param {boolean} options.force - 忽略本地版本，全量重新提取
+ * @param {number} options.depth - 最大提取深度（根页面为 0）
+ * @param {string[]} options.include - 标题包含规则（通配符），命中页面及其子树被提取
+ * @param {string[]} options.exclude - 标题排除规则（通配符），命中页面及其子树被跳过
+ * @param {string[]} options.labels - 只提取带有这些标签的页面及其子树
+ * @param {string[]} options.excludeLabels - 跳过带有这些标签的页面及其子树
+ * @param {boolean} options.resume - 从上次中断处继续提取
+ * @param {number} options.concurrency - 同时处理的页面数及最大并发请求数
+ * @param {number} options.rps - 每秒最多发起的请求数（0 为不限制）
+ * @param {boolean} options.history - 将每个页面的历史版本导出为输出目录中的 git 提交
+ */
+async function extractPage(pageId, skipConfirm = false, options = {}) {
+  const OUTPUT_DIR = path.join(process.cwd(), "docs");
+
+  const summary = await fetchPageSummary(pageId);
+  if (!summary) {
+    console.log(`\n❌ 无法获取页面信息，请检查链接是否正确`);
+    return;
+  }
+  const { title } = summary;
+
+  console.log(`📄 页面标题: ${title}\n`);
+
+  if (!(await confirmExtract("确认提取该页面及其所有子页面？(Y/n): ", skipConfirm))) {
+    return;
+  }
+
+  spaceMode = false;
+  contentType = "page";
+  flatMode = false;
+  const outputBase = path.join(OUTPUT_DIR, sanitizeFilename(title));
+
+  await runExtraction(title, outputBase, `page:${pageId}`, options, () => {
+    const task = {
+      pageId,
+      depth: 0,
+      parentPath: outputBase,
+      outputBase,
+      summary,
+      selected: true,
+      order: [0],
+      ancestors: null,
+      waitTurn: Promise.resolve(),
+      claimed: () => {},
+    };
+    crawlQueue.push(() => crawlPage(task));
+  });
+}
+
+/**
+ * 提取整个空间的所有文档（所有顶层页面及其子页面）
+ * @param {string} spaceKey
+ * @param {boolean} skipConfirm - 是否跳过确认（CLI 模式下跳过）
+ * @param {object} options - 同 extractPage
+ */
+async function extractSpace(spaceKey, skipConfirm = false, options = {}) {
+  const OUTPUT_DIR = path.join(process.cwd(), "docs");
+
+  const space = await getSpaceInfo(spaceKey);
+  if (!space) {
+    console.log(`\n❌ 无法获取空间信息，请检查空间标识是否正确`);
+    return;
+  }
+
+  let rootPages;
+  try {
+    rootPages = await getSpaceRootPages(space.key);
+  } catch (e) {
+    console.log(`\n❌ 获取空间顶层页面失败: ${e.message}`);
+    return;
+  }
+
+  console.log(`📚 空间: ${space.name} (${space.key})，顶层页面 ${rootPages.length} 个\n`);
+
+  if (!(await confirmExtract("确认提取该空间下所有页面？(Y/n): ", skipConfirm))) {
+    return;
+  }
+
+  spaceMode = true;
+  contentType = "page";
+  flatMode = false;
+  const outputBase = path.join(OUTPUT_DIR, sanitizeFilename(space.key));
+
+  await runExtraction(`${space.name}（${space.key}）`, outputBase, `space:${space.key}`, options, () => {
+    // 顶层页面没有祖先页面
+    enqueuePageList(rootPages, 0, outputBase, outputBase, false, [], []);
+  });
+}
+
+/**
+ * 提取空间的博客文章，按发布时间存放到 blog/YYYY/MM/ 并生成博客目录索引
+ * @param {string} spaceKey
+ * @param {boolean} skipConfirm - 是否跳过确认（CLI 模式下跳过）
+ * @param {object} options - 同 extractPage，另有：
+ * @param {string} [options.since] - 只提取该日期（YYYY-MM-DD，含）之后发布的文章
+ * @param {string} [options.until] - 只提取该日期（YYYY-MM-DD，含）之前发布的文章
+ */
+async function extractBlogPosts(spaceKey, skipConfirm = false, options = {}) {
+  const OUTPUT_DIR = path.join(process.cwd(), "docs");
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  for (const date of [options.since, options.until]) {
+    if (date && !datePattern.test(date)) {
+      console.log(`\n❌ 日期格式应为 YYYY-MM-DD: ${date}`);
+      return;
+    }
+  }
+
+  const space = await getSpaceInfo(spaceKey);
+  if (!space) {
+    console.log(`\n❌ 无法获取空间信息，请检查空间标识是否正确`);
+    return;
+  }
+
+  let posts;
+  try {
+    posts = await getSpaceBlogPosts(space.key);
+  } catch (e) {
+    console.log(`\n❌ 获取博客文章列表失败: ${e.message}`);
+    return;
+  }
+  posts = posts.filter(
+    (p) => (!options.since || p.postedAt >= options.since) && (!options.until || p.postedAt <= options.until)
+  );
+
+  const range = options.since || options.until ? `（${options.since || "最早"} ~ ${options.until || "至今"}）` : "";
+  console.log(`📰 空间: ${space.name} (${space.key})，博客文章 ${posts.length} 篇${range}\n`);
+  if (posts.length === 0) return;
+
+  if (!(await confirmExtract("确认提取这些博客文章？(Y/n): ", skipConfirm))) {
+    return;
+  }
+
+  spaceMode = true;
+  contentType = "blogpost";
+  flatMode = true;
+  const outputBase = path.join(OUTPUT_DIR, sanitizeFilename(space.key), "blog");
+  const target = `blog:${space.key}:${options.since || ""}~${options.until || ""}`;
+
+  await runExtraction(`${space.name}（${space.key}）博客`, outputBase, target, options, () => {
+    groupBlogPosts(posts).forEach((y, yi) => {
+      docIndex.push({ title: `${y.year} 年`, depth: 0, filePath: null, order: [yi] });
+      y.months.forEach((m, mi) => {
+        docIndex.push({ title: `${y.year}-${m.month}`, depth: 1, filePath: null, order: [yi, mi] });
+        const monthDir = path.join(outputBase, y.year, m.month);
+        enqueuePageList(m.posts, 2, monthDir, outputBase, false, [yi, mi]);
+      });
+    });
+  });
+}
+
+/**
+ * 按 CQL 查询提取匹配的页面（不递归子页面），平铺存放并生成列出查询语句和结果的 INDEX.md
+ * @param {string} cql - CQL 查询语句
+ * @param {boolean} skipConfirm - 是否跳过确认（CLI 模式下跳过）
+ * @param {object} options - 同 extractPage
+ */
+async function extractByCql(cql, skipConfirm = false, options = {}) {
+  const OUTPUT_DIR = path.join(process.cwd(), "docs");
+
+  let pages;
+  try {
+    pages = await searchByCql(cql);
+  } catch (e) {
+    console.log(`\n❌ CQL 查询失败: ${e.message}`);
+    return;
+  }
+
+  console.log(`🔎 CQL: ${cql}`);
+  console.log(`   匹配页面 ${pages.length} 个\n`);
+  if (pages.length === 0) return;
+
+  if (!(await confirmExtract("确认提取这些页面？(Y/n): ", skipConfirm))) {
+    return;
+  }
+
+  spaceMode = true;
+  contentType = null;
+  flatMode = true;
+  const outputBase = path.join(OUTPUT_DIR, "cql", sanitizeFilename(cql).substring(0, 80));
+
+  await runExtraction(
+    "CQL 查询结果",
+    outputBase,
+    `cql:${cql}`,
+    options,
+    () => {
+      enqueuePageList(pages, 0, outputBase, outputBase, false, []);
+    },
+    `查询: \`${cql}\``
+  );
+}
+
 /**
  * 解析 KB 链接
  */
@@ -464,6 +1532,22 @@ function parseConfluenceUrl(input) {
       const title = decodeURIComponent(displayMatch[2].replace(/\+/g, " "));
       return { baseUrl: origin, spaceKey, title };
     }
+
+    const spacePageMatch = url.pathname.match(/^\/spaces\/([^/]+)\/pages\/(\d+)/);
+    if (spacePageMatch) {
+      return { baseUrl: origin, pageId: spacePageMatch[2] };
+    }
+
+    // 空间链接：/display/SPACE、/spaces/SPACE/...、/spaces/viewspace.action?key=SPACE
+    const spaceMatch =
+      url.pathname.match(/^\/display\/([^/]+)\/?$/) ||
+      url.pathname.match(/^\/spaces\/(?!viewspace\.action)([^/]+)/);
+    if (spaceMatch) {
+      return { baseUrl: origin, spaceKey: decodeURIComponent(spaceMatch[1]) };
+    }
+    if (/^\/spaces\/viewspace\.action$/.test(url.pathname) && params.get("key")) {
+      return { baseUrl: origin, spaceKey: params.get("key") };
+    }
   } catch (e) {
     // not a valid URL
   }
@@ -473,6 +1557,9 @@ function parseConfluenceUrl(input) {
 
 module.exports = {
   extractPage,
+  extractSpace,
+  extractBlogPosts,
+  extractByCql,
   parseConfluenceUrl,
   resolvePageId,
 };
@@ -0,0 +1,190 @@
+/**
+ * 历史版本导出 —— 将页面的每个历史版本按时间顺序写成输出目录中的 git 提交
+ */
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parallelLimit, formatDateTime } = require("./utils");
+const { parseFrontmatter } = require("./upload");
+
+const STATE_FILE = ".kb-history.json";
+const CONCURRENCY = 5;
+
+/**
+ * 在输出目录中执行 git 命令
+ */
+function git(repoDir, args, env = {}) {
+  return execFileSync("git", args, {
+    cwd: repoDir,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  }).toString("utf-8");
+}
+
+/**
+ * 确保输出目录是一个 git 仓库
+ */
+function ensureGitRepo(repoDir) {
+  try {
+    git(repoDir, ["--version"]);
+  } catch (e) {
+    throw new Error("未找到 git 命令，--history 需要先安装 git");
+  }
+  if (!fs.existsSync(path.join(repoDir, ".git"))) {
+    git(repoDir, ["init", "-q"]);
+    fs.writeFileSync(
+      path.join(repoDir, ".gitignore"),
+      `.kb-pull-manifest.jsonl\n${STATE_FILE}\n.trash/\n`,
+      "utf-8"
+    );
+    console.log(`📦 已在 ${repoDir} 初始化 git 仓库`);
+  }
+}
+
+/**
+ * 读取各页面已提交到的版本号（pageId → version）
+ */
+function readState(repoDir) {
+  const file = path.join(repoDir, STATE_FILE);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * 保存各页面已提交到的版本号
+ */
+function writeState(repoDir, state) {
+  fs.writeFileSync(path.join(repoDir, STATE_FILE), JSON.stringify(state, null, 2), "utf-8");
+}
+
+/**
+ * 以指定作者和时间提交
+ */
+function commitAs(repoDir, message, author) {
+  const date = new Date(author.when || Date.now()).toISOString();
+  git(repoDir, ["commit", "-q", "--allow-empty", "-m", message], {
+    GIT_AUTHOR_NAME: author.name,
+    GIT_AUTHOR_EMAIL: author.email,
+    GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: author.name,
+    GIT_COMMITTER_EMAIL: author.email,
+    GIT_COMMITTER_DATE: date,
+  });
+}
+
+/**
+ * 加载页面待提交的下一个版本，写入 head.version（没有更多版本或加载失败时为 null）
+ * 某个版本加载失败时该页面本次停在前一个版本，下次导出从失败的版本继续
+ */
+async function loadNextVersion(head, loadVersion) {
+  head.version = null;
+  if (head.number > head.latest) return;
+  const isLatest = head.number === head.latest;
+  const version = await loadVersion(head.page, head.number, isLatest);
+  if (!version) {
+    console.warn(`  ⚠️ ${head.page.title}: v${head.number} 加载失败，本次只提交到 v${head.number - 1}`);
+    return;
+  }
+  head.version = {
+    ...version,
+    content: isLatest ? head.current : version.content,
+    pageId: String(head.page.pageId),
+    number: head.number,
+    filePath: head.page.filePath,
+  };
+}
+
+/**
+ * 按修改时间比较两个版本，时间相同时按页面和版本号排序，保证提交顺序稳定
+ */
+function compareVersions(a, b) {
+  return (
+    new Date(a.when) - new Date(b.when) ||
+    a.pageId.localeCompare(b.pageId) ||
+    a.number - b.number
+  );
+}
+
+/**
+ * 导出页面历史版本为 git 提交
+ * 每个页面只导出上次导出之后的新版本；最新版本使用本次提取写入的文件内容。
+ * 每个页面同时只加载一个版本，各页面的版本按时间顺序合并后逐个提交
+ * @param {string} repoDir - 输出目录（git 仓库）
+ * @param {Array<{ pageId: string, title: string, filePath: string }>} pages - 已提取的页面
+ * @param {Function} loadVersion - (page, number, isLatest) => Promise<{ content, title, authorName, authorEmail, when, message }|null>，
+ *   isLatest 时 content 可为空
+ */
+async function exportHistory(repoDir, pages, loadVersion) {
+  console.log("\n========================================");
+  console.log("🕘 导出历史版本为 git 提交...");
+  console.log("========================================\n");
+
+  ensureGitRepo(repoDir);
+  const state = readState(repoDir);
+
+  // 记录本次提取写入的最新内容，提交完历史版本后还原
+  const currentContents = new Map();
+  const heads = [];
+
+  for (const page of pages) {
+    const current = fs.readFileSync(page.filePath, "utf-8");
+    currentContents.set(page.filePath, current);
+    const latest = parseInt(parseFrontmatter(current).metadata.version, 10) || 0;
+    const from = (state[page.pageId] || 0) + 1;
+    if (from > latest) continue;
+
+    console.log(`  📜 ${page.title}: v${from} → v${latest}`);
+    heads.push({ page, number: from, latest, current, version: null });
+  }
+
+  await parallelLimit(
+    heads.map((head) => () => loadNextVersion(head, loadVersion)),
+    CONCURRENCY
+  );
+
+  let committed = 0;
+  for (;;) {
+    const pending = heads.filter((head) => head.version);
+    if (pending.length === 0) break;
+    const head = pending.reduce((a, b) => (compareVersions(a.version, b.version) <= 0 ? a : b));
+    const v = head.version;
+
+    fs.writeFileSync(v.filePath, v.content, "utf-8");
+    git(repoDir, ["add", "--", path.relative(repoDir, v.filePath)]);
+    const summary = v.message || (v.number === 1 ? `创建「${v.title}」` : `更新「${v.title}」`);
+    const message = `${summary}\n\nKB-Page: ${v.pageId}\nKB-Version: ${v.number}`;
+    commitAs(repoDir, message, { name: v.authorName, email: v.authorEmail, when: v.when });
+    // 版本按顺序提交，失败即停止，因此记录的版本号之前没有遗漏
+    state[v.pageId] = v.number;
+    writeState(repoDir, state);
+    committed++;
+
+    head.number++;
+    await loadNextVersion(head, loadVersion);
+  }
+
+  for (const [filePath, content] of currentContents) {
+    fs.writeFileSync(filePath, content, "utf-8");
+  }
+
+  // 图片、附件、目录索引等其余变更单独提交
+  git(repoDir, ["add", "-A"]);
+  const staged = git(repoDir, ["diff", "--cached", "--name-only"]).trim();
+  if (staged) {
+    const now = formatDateTime(new Date().toISOString());
+    commitAs(repoDir, `同步 KB 文档（${now}）`, {
+      name: "kb-doc-sync",
+      email: "kb-doc-sync@localhost",
+    });
+  }
+
+  console.log(`✅ 已提交 ${committed} 个历史版本`);
+}
+
+module.exports = {
+  exportHistory,
+};
@@ -0,0 +1,164 @@
+/**
+ * Jira 宏互转 —— 单个 issue 宏 ↔ Markdown 链接，JQL 宏 ↔ ```jql 代码块
+ * Jira 服务器的 serverId 记录在 frontmatter 的 jira 列表中，push 时据此还原宏
+ */
+const { httpGet } = require("./api");
+const { formatFenceInfo } = require("./converter/fence-info");
+const { escapeXml } = require("./utils");
+
+// 无法获取 Jira 地址时使用的占位链接前缀
+const JIRA_LINK_PREFIX = "kb-jira://";
+
+// serverId → { serverId, server, url }，每次运行只查询一次
+let jiraServers = null;
+
+/**
+ * 获取 KB 关联的 Jira 服务器（应用链接），失败时退回 KB_JIRA_URL 环境变量
+ * @returns {Promise<Map<string, { serverId: string, server: string, url: string }>>}
+ */
+async function loadJiraServers() {
+  if (jiraServers) return jiraServers;
+  jiraServers = new Map();
+  try {
+    // 直接使用 httpGet：该接口可能需要管理员权限，无权限时不应触发重新登录
+    const buf = await httpGet("/rest/applinks/1.0/listApplicationlinks");
+    const data = JSON.parse(buf.toString("utf-8"));
+    for (const item of data.list || []) {
+      const app = item.application || item;
+      if (app.typeId && app.typeId !== "jira") continue;
+      jiraServers.set(app.id, {
+        serverId: app.id,
+        server: app.name || "",
+        url: (app.displayUrl || app.rpcUrl || "").replace(/\/+$/, ""),
+      });
+    }
+  } catch (e) {
+    // 无权限或接口不存在，忽略
+  }
+  return jiraServers;
+}
+
+/**
+ * 已加载的 Jira 服务器（未调用 loadJiraServers 时为空）
+ */
+function getJiraServers() {
+  return jiraServers || new Map();
+}
+
+/**
+ * 解析 Jira 宏的全部参数（值保持 storage format 中的转义形式）
+ */
+function parseMacroParams(macro) {
+  const params = {};
+  const paramRegex = /<ac:parameter ac:name="([^"]*)"[^>]*>([\s\S]*?)<\/ac:parameter>/g;
+  let m;
+  while ((m = paramRegex.exec(macro)) !== null) {
+    params[m[1]] = m[2];
+  }
+  return params;
+}
+
+/**
+ * Jira 服务器地址：先按 serverId 查应用链接，再退回 KB_JIRA_URL
+ */
+function resolveJiraUrl(serverId) {
+  const server = getJiraServers().get(serverId);
+  if (server && server.url) return server.url;
+  return (process.env.KB_JIRA_URL || "").replace(/\/+$/, "");
+}
+
+/**
+ * 将 Jira 宏转为 Markdown：单个 issue 转为链接，JQL 查询转为 ```jql 代码块
+ * 代码块信息串记录除查询、服务器外的其他参数，如 ```jql columns=key,summary maximumIssues=20
+ * @param {object} params - 宏参数（参数名 → 文本值）
+ */
+function convertJiraMacro(params) {
+  if (params.key) {
+    const url = resolveJiraUrl(params.serverId);
+    const href = url ? `${url}/browse/${params.key}` : `${JIRA_LINK_PREFIX}${params.key}`;
+    return `[${params.key}](${href})`;
+  }
+  if (params.jqlQuery) {
+    const info = formatFenceInfo(
+      "jql",
+      Object.entries(params).filter(([name]) => !["jqlQuery", "server", "serverId"].includes(name))
+    );
+    return `\`\`\`${info}\n${params.jqlQuery}\n\`\`\``;
+  }
+  return "";
+}
+
+/**
+ * 收集页面中 Jira 宏引用的服务器（用于写入 frontmatter）
+ * @returns {Array<{ serverId: string, server: string, url: string }>}
+ */
+function collectJiraServers(html) {
+  const servers = new Map();
+  const macroRegex = /<ac:structured-macro[^>]*ac:name="jira"[^>]*>[\s\S]*?<\/ac:structured-macro>/g;
+  let m;
+  while ((m = macroRegex.exec(html)) !== null) {
+    const params = parseMacroParams(m[0]);
+    if (!params.serverId || servers.has(params.serverId)) continue;
+    servers.set(params.serverId, {
+      serverId: params.serverId,
+      server: params.server || "",
+      url: resolveJiraUrl(params.serverId),
+    });
+  }
+  return [...servers.values()];
+}
+
+/**
+ * 构造 Jira 宏
+ * @param {object} server - 目标服务器 { serverId, server }
+ * @param {Array<[string, string]>} params - 其他参数（值需已转义）
+ */
+function buildJiraMacro(server, params) {
+  const all = [];
+  if (server) {
+    all.push(["server", escapeXml(server.server || "")], ["serverId", escapeXml(server.serverId)]);
+  }
+  all.push(...params);
+  return (
+    `<ac:structured-macro ac:name="jira" ac:schema-version="1">` +
+    all.map(([name, value]) => `<ac:parameter ac:name="${name}">${value}</ac:parameter>`).join("") +
+    `</ac:structured-macro>`
+  );
+}
+
+/**
+ * 将 marked 输出的 HTML 中的 Jira 链接还原为 Jira issue 宏
+ * 链接文字须为 issue key，地址为 kb-jira://KEY 或某个 Jira 服务器的 /browse/KEY
+ * @param {Array<{ serverId: string, server: string, url: string }>} servers - frontmatter 中的 jira 列表
+ */
+function restoreJiraLinks(html, servers) {
+  return html.replace(/<a href="([^"]*)"[^>]*>([A-Z][A-Z0-9_]*-\d+)<\/a>/g, (match, href, key) => {
+    if (href === `${JIRA_LINK_PREFIX}${key}`) {
+      return buildJiraMacro(servers[0], [["key", key]]);
+    }
+    const server = servers.find((s) => s.url && href === `${s.url}/browse/${key}`);
+    return server ? buildJiraMacro(server, [["key", key]]) : match;
+  });
+}
+
+/**
+ * 将 ```jql 代码块还原为 JQL 查询宏
+ * @param {Array<[string, string]>} params - 代码块信息串中的参数（serverId 用于指定服务器）
+ * @param {string} query - JQL 查询
+ */
+function buildJqlMacro(params, query, servers) {
+  const serverParam = params.find(([name]) => name === "serverId");
+  const server = (serverParam && servers.find((s) => s.serverId === serverParam[1])) || servers[0];
+  const extra = params.filter(([name]) => name !== "serverId").map(([name, value]) => [name, escapeXml(value)]);
+  return buildJiraMacro(server, [["jqlQuery", escapeXml(query.trim())], ...extra]);
+}
+
+module.exports = {
+  JIRA_LINK_PREFIX,
+  loadJiraServers,
+  getJiraServers,
+  convertJiraMacro,
+  collectJiraServers,
+  restoreJiraLinks,
+  buildJqlMacro,
+};
@@ -0,0 +1,158 @@
+/**
+ * 页面链接改写 —— 提取完成后，将指向本次已提取页面的 KB 链接改写为 Markdown 文件之间的相对路径
+ * 未提取的页面保留为 KB 绝对链接
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseFrontmatter } = require("./upload");
+
+/**
+ * 将相对路径转为 Markdown 链接地址（空格、括号编码）
+ */
+function toLinkPath(relPath) {
+  return relPath
+    .split(path.sep)
+    .join("/")
+    .replace(/ /g, "%20")
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29");
+}
+
+/**
+ * 替换文本中的链接地址：Markdown 链接 ](…) 以及 HTML 表格等内联 HTML 中的 href="…"、src="…"
+ * 代码块和行内代码中的示例链接保持原样
+ * @param {Function} replacer - 接收链接地址，返回新地址；返回 null 时保持原样
+ */
+function replaceLinks(text, replacer) {
+  let fence = null;
+  return text
+    .split("\n")
+    .map((line) => {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fence || fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch && fenceMatch[1].startsWith(fence)) fence = null;
+        return line;
+      }
+      return line
+        .split(/(`+[^`]*?`+)/)
+        .map((part, index) => (index % 2 === 1 ? part : replaceLineLinks(part, replacer)))
+        .join("");
+    })
+    .join("\n");
+}
+
+/**
+ * 替换一段文本（不含代码）中的链接地址
+ */
+function replaceLineLinks(text, replacer) {
+  return text.replace(/\]\(([^)\s]+)\)|\b(href|src)="([^"\s]+)"/g, (whole, mdLink, attr, htmlLink) => {
+    if (mdLink !== undefined) {
+      const link = replacer(mdLink);
+      return link === null ? whole : `](${link})`;
+    }
+    // HTML 属性中的 & 写作 &amp;
+    const link = replacer(htmlLink.replace(/&amp;/g, "&"));
+    return link === null ? whole : `${attr}="${link.replace(/&/g, "&amp;")}"`;
+  });
+}
+
+/**
+ * 改写已提取文档中的页面链接
+ * 支持 /display/SPACE/Title 和带 pageId 的链接，锚点保留；HTML 表格中的 <a href> 同样改写
+ * @param {string} outputBase - 输出目录
+ * @param {Array<{ pageId: string, filePath: string }>} docs - 已提取的文档（filePath 相对 outputBase）
+ * @param {string} baseUrl - KB 地址，只改写该地址下的链接
+ * @param {Function} parseUrl - KB 链接解析函数，返回 { pageId } 或 { spaceKey, title }
+ * @returns {number} 改写的链接数
+ */
+function rewritePageLinks(outputBase, docs, baseUrl, parseUrl) {
+  const byId = new Map();
+  const byTitle = new Map();
+  for (const doc of docs) {
+    const filePath = path.join(outputBase, doc.filePath);
+    if (!fs.existsSync(filePath)) continue;
+    const { metadata } = parseFrontmatter(fs.readFileSync(filePath, "utf-8"));
+    byId.set(String(doc.pageId), filePath);
+    byTitle.set(`${metadata.spaceKey}/${metadata.title}`, filePath);
+  }
+
+  let count = 0;
+  for (const filePath of byId.values()) {
+    const content = fs.readFileSync(filePath, "utf-8");
+    const match = content.match(/^(---\n[\s\S]*?\n---\n)?([\s\S]*)$/);
+    const frontmatter = match[1] || "";
+    const body = replaceLinks(match[2], (url) => {
+      if (!url.startsWith(baseUrl + "/")) return null;
+      const hashIdx = url.indexOf("#");
+      const hash = hashIdx === -1 ? "" : url.substring(hashIdx);
+      const parsed = parseUrl(hashIdx === -1 ? url : url.substring(0, hashIdx));
+      if (!parsed) return null;
+      const target = parsed.pageId
+        ? byId.get(String(parsed.pageId))
+        : parsed.title
+          ? byTitle.get(`${parsed.spaceKey}/${parsed.title}`)
+          : null;
+      if (!target) return null;
+      count++;
+      return toLinkPath(path.relative(path.dirname(filePath), target)) + hash;
+    });
+    if (frontmatter + body !== content) {
+      fs.writeFileSync(filePath, frontmatter + body, "utf-8");
+    }
+  }
+  return count;
+}
+
+/**
+ * 页面文件被移动后，修正相对链接（页面链接、图片、附件，含 HTML 表格中的 href / src）
+ * 未重新生成的已移动文件，其相对链接按移动前的位置解析；指向已移动文件的链接改指新位置
+ * @param {string[]} filePaths - 需要检查的文档（绝对路径）
+ * @param {Map<string, string>} moves - 被移动的文件（旧路径 → 新路径）
+ * @param {Set<string>} regenerated - 本次移动后重新生成过内容的文件
+ * @returns {number} 修正的链接数
+ */
+function updateMovedLinks(filePaths, moves, regenerated) {
+  if (moves.size === 0) return 0;
+  const movedTo = new Map([...moves].map(([from, to]) => [path.resolve(from), path.resolve(to)]));
+  const movedFrom = new Map([...movedTo].map(([from, to]) => [to, from]));
+  const fresh = new Set([...regenerated].map((f) => path.resolve(f)));
+
+  let count = 0;
+  for (const file of filePaths) {
+    const filePath = path.resolve(file);
+    const oldPath = fresh.has(filePath) ? filePath : movedFrom.get(filePath) || filePath;
+    const content = fs.readFileSync(filePath, "utf-8");
+    const updated = replaceLinks(content, (link) => {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(link) || link.startsWith("#") || link.startsWith("/")) {
+        return null;
+      }
+      const hashIdx = link.indexOf("#");
+      const hash = hashIdx === -1 ? "" : link.substring(hashIdx);
+      let target;
+      try {
+        target = path.resolve(
+          path.dirname(oldPath),
+          decodeURIComponent(hashIdx === -1 ? link : link.substring(0, hashIdx))
+        );
+      } catch (e) {
+        return null;
+      }
+      if (oldPath === filePath && !movedTo.has(target)) return null;
+      target = movedTo.get(target) || target;
+      const newLink = toLinkPath(path.relative(path.dirname(filePath), target)) + hash;
+      if (newLink === link) return null;
+      count++;
+      return newLink;
+    });
+    if (updated !== content) {
+      fs.writeFileSync(filePath, updated, "utf-8");
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  rewritePageLinks,
+  updateMovedLinks,
+};
@@ -0,0 +1,90 @@
+/**
+ * 提取进度清单 —— 将已完成的页面逐行追加到输出目录下的 JSONL 文件，
+ * 中断后可通过 --resume 跳过已完成的页面继续提取
+ */
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_NAME = ".kb-pull-manifest.jsonl";
+
+let manifestPath = "";
+
+/**
+ * 获取清单文件路径
+ */
+function getManifestPath(outputBase) {
+  return path.join(outputBase, MANIFEST_NAME);
+}
+
+/**
+ * 判断输出目录下是否存在未完成的提取清单
+ */
+function hasManifest(outputBase) {
+  return fs.existsSync(getManifestPath(outputBase));
+}
+
+/**
+ * 读取清单中已完成的页面记录
+ * @returns {{ target: string|null, records: Map<string, object> }}
+ */
+function readManifest(outputBase) {
+  const records = new Map();
+  let target = null;
+  const file = getManifestPath(outputBase);
+  if (!fs.existsSync(file)) return { target, records };
+
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.target) {
+        target = entry.target;
+      } else if (entry.pageId) {
+        records.set(String(entry.pageId), entry);
+      }
+    } catch (e) {
+      // 中断时最后一行可能不完整，忽略
+    }
+  }
+  return { target, records };
+}
+
+/**
+ * 开始记录提取进度
+ * @param {string} outputBase - 输出目录
+ * @param {string} target - 提取目标标识（如 page:123、space:ITKB），续传时用于校验
+ * @param {boolean} resume - 是否在已有清单后继续追加
+ */
+function startManifest(outputBase, target, resume) {
+  manifestPath = getManifestPath(outputBase);
+  if (!resume || !fs.existsSync(manifestPath)) {
+    const header = { target, startedAt: new Date().toISOString() };
+    fs.writeFileSync(manifestPath, JSON.stringify(header) + "\n", "utf-8");
+  }
+}
+
+/**
+ * 追加一条页面完成记录
+ */
+function appendManifest(record) {
+  if (!manifestPath) return;
+  fs.appendFileSync(manifestPath, JSON.stringify(record) + "\n", "utf-8");
+}
+
+/**
+ * 提取全部完成后删除清单
+ */
+function finishManifest() {
+  if (manifestPath && fs.existsSync(manifestPath)) {
+    fs.unlinkSync(manifestPath);
+  }
+  manifestPath = "";
+}
+
+module.exports = {
+  hasManifest,
+  readManifest,
+  startManifest,
+  appendManifest,
+  finishManifest,
+};
@@ -0,0 +1,135 @@
+/**
+ * 本地文件迁移 —— 重新 pull 时按 pageId 将被移动、重命名的页面文件挪到新位置，
+ * 远程已删除的页面移入 .trash
+ */
+const fs = require("fs");
+const path = require("path");
+const { listMarkdownFiles } = require("./utils");
+
+const TRASH_DIR = ".trash";
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 判断名称是否为 base 或带重名后缀的 base_N
+ */
+function isNameOf(name, base) {
+  return name === base || new RegExp(`^${escapeRegExp(base)}_\\d+$`).test(name);
+}
+
+/**
+ * 判断页面文件是否独占一个目录（有子页面的页面：目录名与文件名一致）
+ */
+function ownsDirectory(filePath, outputBase) {
+  const dir = path.dirname(filePath);
+  if (path.resolve(dir) === path.resolve(outputBase)) return false;
+  return isNameOf(path.basename(dir), path.basename(filePath, ".md"));
+}
+
+/**
+ * 评论附属文件路径
+ */
+function sidecarOf(filePath) {
+  return filePath.replace(/\.md$/, ".comments.md");
+}
+
+/**
+ * 移动单个文件，目标目录不存在时自动创建
+ */
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.renameSync(from, to);
+}
+
+/**
+ * 将页面文件从 oldFile 移动到 newFile
+ * 原来独占目录、新位置也需要目录时整个目录一起移动（子页面文件随之移动）
+ * @returns {{ moves: Map<string, string>, vacatedDir: string|null }}
+ *   moves 为所有被移动的 Markdown 文件（旧路径 → 新路径），vacatedDir 为可能已清空的旧目录
+ */
+function movePageFiles(oldFile, newFile, outputBase) {
+  const moves = new Map();
+  const oldDir = path.dirname(oldFile);
+  const newDir = path.dirname(newFile);
+  const ownedDir = ownsDirectory(oldFile, outputBase);
+  const needsDir = ownsDirectory(newFile, outputBase);
+
+  if (ownedDir && needsDir && !fs.existsSync(newDir)) {
+    const files = listMarkdownFiles(oldDir);
+    fs.mkdirSync(path.dirname(newDir), { recursive: true });
+    fs.renameSync(oldDir, newDir);
+    for (const file of files) {
+      moves.set(file, path.join(newDir, path.relative(oldDir, file)));
+    }
+    // 目录内的页面文件本身也可能需要改名
+    const movedFile = path.join(newDir, path.basename(oldFile));
+    if (movedFile !== newFile) {
+      fs.renameSync(movedFile, newFile);
+      moves.set(oldFile, newFile);
+      if (fs.existsSync(sidecarOf(movedFile))) {
+        fs.renameSync(sidecarOf(movedFile), sidecarOf(newFile));
+        moves.set(sidecarOf(oldFile), sidecarOf(newFile));
+      }
+    }
+    return { moves, vacatedDir: null };
+  }
+
+  moveFile(oldFile, newFile);
+  moves.set(oldFile, newFile);
+  if (fs.existsSync(sidecarOf(oldFile))) {
+    moveFile(sidecarOf(oldFile), sidecarOf(newFile));
+    moves.set(sidecarOf(oldFile), sidecarOf(newFile));
+  }
+  return { moves, vacatedDir: ownedDir ? oldDir : null };
+}
+
+/**
+ * 将远程已删除页面的文件、评论、图片和附件目录移入 outputBase/.trash（保留相对路径）
+ * @returns {string} 回收站中的页面文件路径
+ */
+function moveToTrash(outputBase, filePath, pageId) {
+  const trashBase = path.join(outputBase, TRASH_DIR);
+  const trashFile = path.join(trashBase, path.relative(outputBase, filePath));
+  moveFile(filePath, trashFile);
+  if (fs.existsSync(sidecarOf(filePath))) {
+    moveFile(sidecarOf(filePath), sidecarOf(trashFile));
+  }
+  for (const resDir of ["images", "attachments"]) {
+    const dir = path.join(outputBase, resDir, String(pageId));
+    if (fs.existsSync(dir)) {
+      const target = path.join(trashBase, resDir, String(pageId));
+      fs.rmSync(target, { recursive: true, force: true });
+      moveFile(dir, target);
+    }
+  }
+  return trashFile;
+}
+
+/**
+ * 删除移动后留下的空目录（逐级向上，直到 outputBase）
+ */
+function removeEmptyDirs(dirs, outputBase) {
+  const root = path.resolve(outputBase);
+  for (const start of dirs) {
+    let dir = path.resolve(start);
+    while (dir !== root && dir.startsWith(root + path.sep) && fs.existsSync(dir)) {
+      if (fs.readdirSync(dir).length > 0) break;
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+module.exports = {
+  TRASH_DIR,
+  isNameOf,
+  ownsDirectory,
+  movePageFiles,
+  moveToTrash,
+  removeEmptyDirs,
+};
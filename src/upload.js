@@ -4,13 +4,17 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { apiGet, apiPost, apiPut, uploadAttachment } = require("./api");
+const { httpGet, apiGet, apiPost, apiPut, uploadAttachment } = require("./api");
 const { getBaseUrl } = require("./auth");
 const { markdownToConfluence } = require("./converter/md-to-storage");
+const { decodeEntities } = require("./converter/xhtml");
+const { JIRA_LINK_PREFIX, loadJiraServers } = require("./jira");
+const { COMMENTS_MARKER } = require("./comments");
+const { escapeXml } = require("./utils");
 
 /**
  * 解析 YAML frontmatter
- * 简单实现，不依赖额外库
+ * 简单实现，不依赖额外库；支持标量、列表和嵌套对象（按缩进识别），标量一律保留为字符串
  */
 function parseFrontmatter(content) {
   const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
@@ -20,22 +24,101 @@ function parseFrontmatter(content) {
 
   const yamlStr = match[1];
   const body = match[2];
-  const metadata = {};
-
-  for (const line of yamlStr.split("\n")) {
-    const colonIdx = line.indexOf(":");
-    if (colonIdx === -1) continue;
-    const key = line.substring(0, colonIdx).trim();
-    let value = line.substring(colonIdx + 1).trim();
-    // 去掉引号
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      value = value.slice(1, -1);
+  const lines = yamlStr
+    .split("\n")
+    .filter((l) => l.trim() && !l.trim().startsWith("#"))
+    .map((l) => ({ indent: l.length - l.trimStart().length, text: l.trim() }));
+
+  const { value } = parseYamlBlock(lines, 0, 0);
+  const metadata = value && !Array.isArray(value) && typeof value === "object" ? value : {};
+
+  return { metadata, body };
+}
+
+/**
+ * 判断一行是否为列表项
+ */
+function isYamlListItem(text) {
+  return text === "-" || text.startsWith("- ");
+}
+
+/**
+ * 解析 YAML 标量：去掉引号，[] 和 {} 解析为空列表 / 空对象
+ */
+function parseYamlScalar(value) {
+  if (value === "[]") return [];
+  if (value === "{}") return {};
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(["\\])/g, "$1");
+  }
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+/**
+ * 解析从第 i 行开始、缩进为 indent 的列表或对象
+ * @returns {{ value: any, next: number }} next 为下一个未处理的行号
+ */
+function parseYamlBlock(lines, i, indent) {
+  if (i < lines.length && isYamlListItem(lines[i].text)) {
+    const list = [];
+    while (i < lines.length && lines[i].indent === indent && isYamlListItem(lines[i].text)) {
+      const itemText = lines[i].text.substring(1).trim();
+      if (!itemText) {
+        // "-" 独占一行，内容在下面更深缩进的行中
+        if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+          const child = parseYamlBlock(lines, i + 1, lines[i + 1].indent);
+          list.push(child.value);
+          i = child.next;
+        } else {
+          list.push("");
+          i++;
+        }
+      } else if (/^[\w.-]+:(\s|$)/.test(itemText)) {
+        // "- key: value" 形式的对象项，将首个键视为与后续键同缩进
+        const itemIndent = indent + lines[i].text.indexOf(itemText);
+        const rest = [{ indent: itemIndent, text: itemText }];
+        let j = i + 1;
+        while (j < lines.length && lines[j].indent > indent) rest.push(lines[j++]);
+        list.push(parseYamlBlock(rest, 0, itemIndent).value);
+        i = j;
+      } else {
+        list.push(parseYamlScalar(itemText));
+        i++;
+      }
     }
-    metadata[key] = value;
+    return { value: list, next: i };
   }
 
-  return { metadata, body };
+  const obj = {};
+  while (i < lines.length && lines[i].indent === indent && !isYamlListItem(lines[i].text)) {
+    const text = lines[i].text;
+    const colonIdx = text.indexOf(":");
+    if (colonIdx === -1) {
+      i++;
+      continue;
+    }
+    const key = text.substring(0, colonIdx).trim();
+    const value = text.substring(colonIdx + 1).trim();
+    i++;
+    if (value) {
+      obj[key] = parseYamlScalar(value);
+    } else if (
+      i < lines.length &&
+      (lines[i].indent > indent || (lines[i].indent === indent && isYamlListItem(lines[i].text)))
+    ) {
+      const child = parseYamlBlock(lines, i, lines[i].indent);
+      obj[key] = child.value;
+      i = child.next;
+    } else {
+      obj[key] = "";
+    }
+    // 跳过无法识别的更深缩进行
+    while (i < lines.length && lines[i].indent > indent) i++;
+  }
+  return { value: obj, next: i };
 }
 
 /**
@@ -68,6 +151,23 @@ function stripTitleFromBody(mdBody, title) {
   return lines.join("\n");
 }
 
+/**
+ * 移除 pull --comments 生成的评论区及正文中对应的行内评论脚注引用
+ * 评论不属于页面正文，不应随 push 上传；评论区已被删除或写在单独文件中时，
+ * 正文中没有定义的 [^cN] 引用同样视为行内评论引用移除
+ */
+function stripComments(mdBody) {
+  const idx = mdBody.indexOf(COMMENTS_MARKER);
+  const result = idx === -1 ? mdBody : mdBody.substring(0, idx).trimEnd() + "\n";
+  const defined = new Set();
+  const defRegex = /^\[\^(c\d+)\]:/gm;
+  let m;
+  while ((m = defRegex.exec(result)) !== null) {
+    defined.add(m[1]);
+  }
+  return result.replace(/\[\^(c\d+)\](?!:)/g, (ref, id) => (defined.has(id) ? ref : ""));
+}
+
 /**
  * 获取页面信息
  */
@@ -125,6 +225,17 @@ async function updatePage(pageId, title, contentHtml, version) {
   });
 }
 
+/**
+ * 确定还原 Jira 宏使用的服务器：优先 frontmatter 中的 jira 列表，
+ * 本地新建的文档引用了 Jira 时再查询 KB 的应用链接
+ */
+async function resolveJiraServers(metadata, mdBody) {
+  if (Array.isArray(metadata.jira) && metadata.jira.length > 0) return metadata.jira;
+  if (!mdBody.includes(JIRA_LINK_PREFIX) && !/^```jql/m.test(mdBody)) return [];
+  const servers = await loadJiraServers();
+  return [...servers.values()];
+}
+
 /**
  * 上传一个 Markdown 文件到 Confluence
  * @param {string} filePath - Markdown 文件路径
@@ -157,8 +268,9 @@ async function uploadFile(filePath, parentPageId, options = {}) {
   console.log(`📁 父页面: [${parentTitle}] (space=${spaceKey})`);
 
   // 转换 Markdown → Confluence Storage Format（先移除标题行，避免与 KB 页面标题重复）
-  const bodyWithoutTitle = stripTitleFromBody(body, title);
-  let { html: contentHtml, mermaidImages } = await markdownToConfluence(bodyWithoutTitle);
+  const bodyWithoutTitle = stripTitleFromBody(stripComments(body), title);
+  const jiraServers = await resolveJiraServers(metadata, bodyWithoutTitle);
+  let { html: contentHtml, mermaidImages } = await markdownToConfluence(bodyWithoutTitle, { jiraServers });
 
   // 收集本地图片引用并替换为 Confluence 附件标签
   const mdDir = path.dirname(path.resolve(filePath));
@@ -169,7 +281,10 @@ async function uploadFile(filePath, parentPageId, options = {}) {
     for (const img of localImages) {
       const escapedSrc = img.src.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
       const imgRegex = new RegExp(`<img[^>]*src="${escapedSrc}"[^>]*/?>`, "gi");
-      const replacement = `<ac:image><ri:attachment ri:filename="${img.filename}" /></ac:image>`;
+      // draw.io 预览图旁有 .drawio 源文件时还原为可编辑的 drawio 宏
+      const replacement = img.drawio
+        ? `<ac:structured-macro ac:name="drawio"><ac:parameter ac:name="diagramName">${escapeXml(img.drawio.diagramName)}</ac:parameter></ac:structured-macro>`
+        : `<ac:image><ri:attachment ri:filename="${img.filename}" /></ac:image>`;
       contentHtml = contentHtml.replace(imgRegex, replacement);
     }
   }
@@ -217,8 +332,15 @@ async function uploadFile(filePath, parentPageId, options = {}) {
   if (localImages.length > 0) {
     const validImages = localImages.filter((img) => fs.existsSync(img.absolutePath));
     if (validImages.length > 0) {
-      let uploaded = 0, skipped = 0;
+      let uploaded = 0, skipped = 0, failed = 0;
       for (const img of validImages) {
+        if (img.drawio) {
+          const status = await uploadDrawio(pageId, img);
+          if (status === "uploaded") uploaded++;
+          else if (status === "skipped") skipped++;
+          else failed++;
+          continue;
+        }
         if (existingAttNames.has(img.filename)) {
           skipped++;
           continue;
@@ -228,11 +350,13 @@ async function uploadFile(filePath, parentPageId, options = {}) {
           uploaded++;
           console.log(`    ✅ ${img.filename}`);
         } catch (e) {
+          failed++;
           console.log(`    ⚠️ ${img.filename} 上传失败: ${e.message}`);
         }
       }
-      if (uploaded > 0 || skipped > 0) {
-        console.log(`  📎 图片附件: ${uploaded} 个新上传, ${skipped} 个已存在跳过`);
+      if (uploaded > 0 || skipped > 0 || failed > 0) {
+        const failedNote = failed > 0 ? `, ${failed} 个上传失败` : "";
+        console.log(`  📎 图片附件: ${uploaded} 个新上传, ${skipped} 个已存在跳过${failedNote}`);
       }
     }
   }
@@ -299,11 +423,88 @@ function collectLocalImages(html, mdDir) {
 
     const absolutePath = path.resolve(mdDir, src);
     const filename = path.basename(src);
-    images.push({ src, filename, absolutePath });
+    // alt 已由 marked 转义（& → &amp;），还原后才是图表名
+    const altMatch = match[0].match(/alt="([^"]*)"/i);
+    const drawio = findDrawioSource(absolutePath, altMatch ? decodeEntities(altMatch[1]) : "");
+    images.push({ src, filename, absolutePath, drawio });
   }
   return images;
 }
 
+/**
+ * 查找 draw.io 预览图对应的 .drawio 源文件
+ * 依次查找预览图同目录下的同名 .drawio，以及 pull 时的附件目录 attachments/{pageId}/
+ * @param {string} imagePath - 预览图绝对路径（X.png）
+ * @param {string} alt - 图片说明，pull 生成的为 "draw.io: 图表名"
+ * @returns {{ diagramName: string, sourcePath: string }|null}
+ */
+function findDrawioSource(imagePath, alt) {
+  if (path.extname(imagePath).toLowerCase() !== ".png") return null;
+  const baseName = path.basename(imagePath, path.extname(imagePath));
+  const altMatch = alt.match(/^draw\.io:\s*(.+)$/);
+  const diagramName = altMatch ? altMatch[1].trim() : baseName;
+
+  const imageDir = path.dirname(imagePath);
+  const candidates = [
+    path.join(imageDir, `${baseName}.drawio`),
+    path.join(imageDir, `${diagramName}.drawio`),
+  ];
+  // pull 的目录结构：images/{pageId}/X.png 对应 attachments/{pageId}/X.drawio
+  if (path.basename(path.dirname(imageDir)) === "images") {
+    const attachDir = path.join(path.dirname(path.dirname(imageDir)), "attachments", path.basename(imageDir));
+    candidates.push(path.join(attachDir, `${baseName}.drawio`), path.join(attachDir, `${diagramName}.drawio`));
+  }
+  const sourcePath = candidates.find((c) => fs.existsSync(c));
+  return sourcePath ? { diagramName, sourcePath } : null;
+}
+
+/**
+ * 判断本地文件是否与页面上的同名附件相同（大小一致时下载比较内容）
+ */
+async function isAttachmentUnchanged(pageId, filePath, filename) {
+  try {
+    const data = await apiGet(
+      `/rest/api/content/${pageId}/child/attachment?filename=${encodeURIComponent(filename)}`
+    );
+    const attachment = (data.results || [])[0];
+    if (!attachment || !attachment._links || !attachment._links.download) return false;
+    const local = fs.readFileSync(filePath);
+    const size = attachment.extensions && attachment.extensions.fileSize;
+    if (size !== undefined && Number(size) !== local.length) return false;
+    const remote = await httpGet(attachment._links.download);
+    return local.equals(remote);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 上传 draw.io 图表：源文件以图表名为附件名，预览图为「图表名.png」
+ * 已存在且有改动时上传为新版本，保证 KB 上的图表与本地一致；与 KB 上相同的文件不重复上传
+ * @returns {Promise<"uploaded"|"skipped"|"failed">}
+ */
+async function uploadDrawio(pageId, img) {
+  const { diagramName, sourcePath } = img.drawio;
+  const files = [
+    { filePath: sourcePath, filename: diagramName, mimeType: "application/vnd.jgraph.mxfile" },
+    { filePath: img.absolutePath, filename: `${diagramName}.png` },
+  ];
+  try {
+    let uploaded = false;
+    for (const { filePath, filename, mimeType } of files) {
+      if (await isAttachmentUnchanged(pageId, filePath, filename)) continue;
+      await uploadAttachment(pageId, filePath, filename, mimeType);
+      uploaded = true;
+    }
+    if (!uploaded) return "skipped";
+    console.log(`    ✅ draw.io: ${diagramName}`);
+    return "uploaded";
+  } catch (e) {
+    console.log(`    ⚠️ draw.io: ${diagramName} 上传失败: ${e.message}`);
+    return "failed";
+  }
+}
+
 module.exports = {
   uploadFile,
   parseFrontmatter,
@@ -0,0 +1,70 @@
+/**
+ * 用户信息 —— 将页面中提及的用户（ri:user）解析为显示名，每次运行内缓存
+ */
+const { apiGet } = require("./api");
+
+// "userkey:xxx" / "username:xxx" → 查询中的 Promise（同一用户只请求一次）
+const pendingUsers = new Map();
+// "userkey:xxx" / "username:xxx" → { userKey, displayName }，查询失败的用户不记录
+const resolvedUsers = new Map();
+
+/**
+ * 收集 HTML 中提及的用户
+ * @returns {Array<{ type: string, id: string }>} type 为 userkey 或 username
+ */
+function collectUserRefs(html) {
+  const refs = [];
+  const userRegex = /<ri:user\s[^>]*?ri:(userkey|username)="([^"]*)"[^>]*\/?>/g;
+  let m;
+  while ((m = userRegex.exec(html)) !== null) {
+    refs.push({ type: m[1], id: m[2] });
+  }
+  return refs;
+}
+
+/**
+ * 查询单个用户并写入缓存
+ */
+function fetchUser(type, id) {
+  const cacheKey = `${type}:${id}`;
+  if (!pendingUsers.has(cacheKey)) {
+    const param = type === "userkey" ? "key" : "username";
+    pendingUsers.set(
+      cacheKey,
+      apiGet(`/rest/api/user?${param}=${encodeURIComponent(id)}`)
+        .then((data) => {
+          resolvedUsers.set(cacheKey, {
+            userKey: data.userKey || (type === "userkey" ? id : ""),
+            displayName: data.displayName || data.username || id,
+          });
+        })
+        .catch((e) => {
+          console.warn(`  ⚠️ 获取用户信息失败 (${type}=${id}): ${e.message}`);
+        })
+    );
+  }
+  return pendingUsers.get(cacheKey);
+}
+
+/**
+ * 解析 HTML 中提及的所有用户，结果写入缓存供 getUser 同步读取
+ * @param {...string} htmls - 页面正文、评论等
+ */
+async function loadUsers(...htmls) {
+  const refs = htmls.flatMap((html) => collectUserRefs(html || ""));
+  await Promise.all(refs.map((ref) => fetchUser(ref.type, ref.id)));
+}
+
+/**
+ * 读取已解析的用户（未解析或解析失败时返回 null）
+ * @param {string} type - userkey 或 username
+ * @returns {{ userKey: string, displayName: string }|null}
+ */
+function getUser(type, id) {
+  return resolvedUsers.get(`${type}:${id}`) || null;
+}
+
+module.exports = {
+  loadUsers,
+  getUser,
+};
@@ -50,6 +50,57 @@ async function parallelLimit(tasks, limit) {
   return results;
 }
 
+/**
+ * 创建任务队列：最多同时执行 concurrency 个任务，执行中的任务可继续向队列添加新任务
+ * 任一任务抛出异常后不再启动新任务，onIdle() 以该异常 reject
+ */
+function createTaskQueue(concurrency) {
+  const pending = [];
+  let running = 0;
+  let firstError = null;
+  let idleWaiters = [];
+
+  function settleIdle() {
+    if (running > 0 || (pending.length > 0 && !firstError)) return;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    for (const { resolve, reject } of waiters) {
+      if (firstError) reject(firstError);
+      else resolve();
+    }
+  }
+
+  function runNext() {
+    while (!firstError && running < concurrency && pending.length > 0) {
+      const task = pending.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch((e) => {
+          if (!firstError) firstError = e;
+        })
+        .finally(() => {
+          running--;
+          runNext();
+        });
+    }
+    settleIdle();
+  }
+
+  return {
+    push(task) {
+      pending.push(task);
+      runNext();
+    },
+    onIdle() {
+      return new Promise((resolve, reject) => {
+        idleWaiters.push({ resolve, reject });
+        settleIdle();
+      });
+    },
+  };
+}
+
 /**
  * 下载文件到本地
  */
@@ -81,10 +132,54 @@ function formatDateTime(isoString) {
   }
 }
 
+/**
+ * 递归列出目录下所有 Markdown 文件（跳过以 . 开头的隐藏目录）
+ */
+function listMarkdownFiles(dir) {
+  const files = [];
+  if (!fs.existsSync(dir)) return files;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listMarkdownFiles(fullPath));
+    } else if (entry.isFile() && entry.name.endsWith(".md")) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * 通配符匹配（支持 * 和 ?，忽略大小写）
+ */
+function matchGlob(pattern, text) {
+  const regexStr = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${regexStr}$`, "i").test(text);
+}
+
+/**
+ * 转义 XML 特殊字符
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 module.exports = {
   askQuestion,
   sanitizeFilename,
   parallelLimit,
+  createTaskQueue,
   downloadFile,
   formatDateTime,
+  listMarkdownFiles,
+  matchGlob,
+  escapeXml,
 };